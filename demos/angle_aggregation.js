@@ -0,0 +1,117 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Ways of turning the angle samples of an update interval into one target:
+ * - median: weighted median
+ * - trimmedMean: weighted mean without the lowest and highest trim of the
+ *   total weight
+ * - latest: the last sample that weighs anything
+ */
+export const aggregationModes = ['median', 'trimmedMean', 'latest'];
+
+/**
+ * Default aggregation settings. A sample weighs its confidence, halved every
+ * halfLife ms of age.
+ */
+export const defaultAggregation = {
+  mode: 'median',
+  halfLife: 100,
+  trim: 0.25,
+};
+
+/**
+ * Sorts the samples numerically by value, keeping each with its weight.
+ */
+function sortByValue(values, weights) {
+  return values.map((value, i) => ({value: value, weight: weights[i]}))
+      .sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Value at which the cumulative weight reaches half the total weight, the
+ * mean of the two middle values when it falls exactly between them. With
+ * equal weights this is the usual median.
+ */
+export function weightedMedian(values, weights) {
+  const sorted = sortByValue(values, weights);
+  const half = sorted.reduce((sum, {weight}) => sum + weight, 0) / 2;
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (cumulative > half) {
+      return sorted[i].value;
+    }
+    if (cumulative === half && i + 1 < sorted.length) {
+      return (sorted[i].value + sorted[i + 1].value) / 2;
+    }
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+/**
+ * Weighted mean of the values once trim (0 to 0.5) of the total weight is
+ * cut from each end. Samples straddling a cut keep the weight inside it.
+ */
+export function weightedTrimmedMean(values, weights, trim) {
+  const sorted = sortByValue(values, weights);
+  const total = sorted.reduce((sum, {weight}) => sum + weight, 0);
+  const low = total * Math.min(trim, 0.5);
+  const high = total - low;
+  let cumulative = 0;
+  let sum = 0;
+  let kept = 0;
+  sorted.forEach(({value, weight}) => {
+    const inside = Math.min(cumulative + weight, high) -
+        Math.max(cumulative, low);
+    if (inside > 0) {
+      sum += value * inside;
+      kept += inside;
+    }
+    cumulative += weight;
+  });
+  // Everything was trimmed: fall back to the median
+  return kept > 0 ? sum / kept : weightedMedian(values, weights);
+}
+
+/**
+ * Aggregates samples, {angle, confidence, t} with t in ms, into one angle
+ * according to settings, {mode, halfLife, trim}. Samples are weighted by
+ * their confidence and their age at now. Returns null when no sample weighs
+ * anything, so that zero-confidence samples never move a servo.
+ */
+export function aggregate(samples, now, settings = defaultAggregation) {
+  const weighted = samples.filter(({confidence}) => confidence > 0);
+  if (weighted.length === 0) {
+    return null;
+  }
+  if (settings.mode === 'latest') {
+    return weighted[weighted.length - 1].angle;
+  }
+  const angles = weighted.map(({angle}) => angle);
+  const weights = weighted.map(({confidence, t}) => {
+    return confidence * Math.pow(0.5, Math.max(now - t, 0) / settings.halfLife);
+  });
+  switch (settings.mode) {
+    case 'median':
+      return weightedMedian(angles, weights);
+    case 'trimmedMean':
+      return weightedTrimmedMean(angles, weights, settings.trim);
+    default:
+      throw new Error(`Unknown aggregation mode: ${settings.mode}`);
+  }
+}
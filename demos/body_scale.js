@@ -0,0 +1,100 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {median, torsoToShoulderRatio} from './demo_util';
+
+function getCentre(a, b) {
+  return {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2};
+}
+
+/**
+ * Body scale of a single frame: the length in pixels of one body unit, the
+ * shoulder width of a person facing the camera. It is estimated from the
+ * shoulder width and from the torso length divided by torsoToShoulderRatio,
+ * taking the larger as turning or leaning only makes them look shorter.
+ * null when neither can be measured.
+ */
+export function getFrameScale(keypoints, minConfidence) {
+  // 5: leftShoulder, 6: rightShoulder, 11: leftHip, 12: rightHip
+  const confident = (id) => keypoints[id].score > minConfidence;
+  if (!confident(5) || !confident(6)) {
+    return null;
+  }
+  const leftShoulder = keypoints[5].position;
+  const rightShoulder = keypoints[6].position;
+  const estimates = [Math.hypot(leftShoulder.x - rightShoulder.x,
+                                leftShoulder.y - rightShoulder.y)];
+  if (confident(11) && confident(12)) {
+    const shoulders = getCentre(leftShoulder, rightShoulder);
+    const hips = getCentre(keypoints[11].position, keypoints[12].position);
+    estimates.push(Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y) /
+                   torsoToShoulderRatio);
+  }
+  const scale = Math.max(...estimates);
+  return scale > 0 ? scale : null;
+}
+
+/**
+ * Body scale of a person over time: the median of the frame scales of the
+ * last historySize frames, which rides out frames where the person turns or
+ * leans.
+ */
+export class BodyScale {
+  constructor(historySize = 30) {
+    this.historySize = historySize;
+    this.history = [];
+  }
+
+  /**
+   * The current scale in pixels per body unit, null before any measurement.
+   */
+  get scale() {
+    return this.history.length > 0 ? median(this.history) : null;
+  }
+
+  /**
+   * Adds the frame scale of the keypoints and returns the updated scale.
+   */
+  update(keypoints, minConfidence) {
+    const scale = getFrameScale(keypoints, minConfidence);
+    if (scale !== null) {
+      this.history.push(scale);
+      if (this.history.length > this.historySize) {
+        this.history.shift();
+      }
+    }
+    return this.scale;
+  }
+
+  reset() {
+    this.history = [];
+  }
+}
+
+/**
+ * Expresses keypoints in body units: positions relative to the centre of the
+ * shoulders divided by scale, so that they do not depend on how far the
+ * person is from the camera.
+ */
+export function toBodyUnits(keypoints, scale) {
+  const origin = getCentre(keypoints[5].position, keypoints[6].position);
+  return keypoints.map((keypoint) => Object.assign({}, keypoint, {
+    position: {
+      x: (keypoint.position.x - origin.x) / scale,
+      y: (keypoint.position.y - origin.y) / scale,
+    },
+  }));
+}
@@ -0,0 +1,247 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {median} from './demo_util';
+
+const storagePrefix = 'tf-imitation.calibration.';
+const lastOperatorKey = 'tf-imitation.calibration-operator';
+
+/**
+ * Reference poses the operator is asked to hold, with the signal values
+ * (degrees) each pose should produce. Limb lengths are captured in the steps
+ * with captureLimbs, where the arms are straight and parallel to the image.
+ */
+export const calibrationSteps = [
+  {prompt: 'Arms down', references: {leftArm: 0, rightArm: 0}},
+  {
+    prompt: 'T-pose',
+    references: {leftArm: 90, rightArm: 90},
+    captureLimbs: true,
+  },
+  {prompt: 'Arms up', references: {leftArm: 180, rightArm: 180}},
+  {prompt: 'Look at the camera', references: {faceYaw: 90}},
+  {prompt: 'Turn your head left', references: {faceYaw: 150}},
+  {prompt: 'Turn your head right', references: {faceYaw: 30}},
+];
+
+/**
+ * Fits a mapping from measured values to reference values. points is a list
+ * of [measured, reference] pairs and mode is 'piecewise' or 'linear'.
+ */
+export function fitMapping(points, mode = 'piecewise') {
+  const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+  if (mode === 'piecewise') {
+    return {mode: mode, points: sorted};
+  }
+  // Least squares line through the points
+  const n = sorted.length;
+  const meanX = sorted.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = sorted.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  sorted.forEach(([x, y]) => {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) * (x - meanX);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 1;
+  return {mode: 'linear', slope: slope, intercept: meanY - slope * meanX};
+}
+
+/**
+ * Maps a measured value with a mapping made by fitMapping. Piecewise mappings
+ * extrapolate with their first and last segments.
+ */
+export function applyMapping(mapping, value) {
+  if (mapping.mode === 'linear') {
+    return mapping.slope * value + mapping.intercept;
+  }
+  const points = mapping.points;
+  let i = 1;
+  while (i < points.length - 1 && value > points[i][0]) {
+    i++;
+  }
+  const [x0, y0] = points[i - 1];
+  const [x1, y1] = points[i];
+  if (x1 === x0) {
+    return (y0 + y1) / 2;
+  }
+  return y0 + (value - x0) * (y1 - y0) / (x1 - x0);
+}
+
+/**
+ * Per-operator mapping of measured signals to calibrated signals. Signals
+ * without a mapping pass through unchanged. limbLengths are the limb lengths
+ * of the operator in body units, as returned by getLimbLengths().
+ */
+export class Calibration {
+  constructor(mappings = {}, limbLengths = {}) {
+    this.mappings = mappings;
+    this.limbLengths = limbLengths;
+  }
+
+  apply(signals) {
+    const calibrated = {};
+    Object.keys(signals).forEach((name) => {
+      const mapping = this.mappings[name];
+      calibrated[name] =
+          mapping ? applyMapping(mapping, signals[name]) : signals[name];
+    });
+    return calibrated;
+  }
+}
+
+export function saveCalibration(operator, calibration) {
+  localStorage.setItem(storagePrefix + operator, JSON.stringify({
+    mappings: calibration.mappings,
+    limbLengths: calibration.limbLengths,
+  }));
+  localStorage.setItem(lastOperatorKey, operator);
+}
+
+/**
+ * Loads the stored calibration of an operator, or an empty one if the operator
+ * has not been calibrated yet.
+ */
+export function loadCalibration(operator) {
+  const stored = JSON.parse(localStorage.getItem(storagePrefix + operator));
+  if (!stored) {
+    return new Calibration();
+  }
+  // Calibrations saved before limb lengths were captured hold only mappings
+  if (!stored.mappings) {
+    return new Calibration(stored);
+  }
+  return new Calibration(stored.mappings, stored.limbLengths);
+}
+
+export function removeCalibration(operator) {
+  localStorage.removeItem(storagePrefix + operator);
+}
+
+export function getLastOperator() {
+  return localStorage.getItem(lastOperatorKey) || 'default';
+}
+
+/**
+ * Guides the operator through calibrationSteps. Each step waits settleTime ms
+ * for the operator to get into the pose and then records the signals for
+ * recordTime ms. update() has to be called with the signals of every frame,
+ * and with the limb lengths for the steps that capture them.
+ */
+export class CalibrationWizard {
+  constructor(
+      {steps = calibrationSteps, settleTime = 3000, recordTime = 2000,
+       mode = 'piecewise', onFinish = () => {}} = {}) {
+    this.steps = steps;
+    this.settleTime = settleTime;
+    this.recordTime = recordTime;
+    this.mode = mode;
+    this.onFinish = onFinish;
+    this.stepIndex = -1;
+  }
+
+  get running() {
+    return this.stepIndex >= 0;
+  }
+
+  /**
+   * Text telling the operator what to do next.
+   */
+  get prompt() {
+    if (!this.running) {
+      return '';
+    }
+    const step = this.steps[this.stepIndex];
+    const progress = `(${this.stepIndex + 1}/${this.steps.length})`;
+    if (this.recording) {
+      return `${step.prompt} ${progress}: hold still`;
+    }
+    const seconds = Math.ceil((this.phaseEnd - this.now) / 1000);
+    return `${step.prompt} ${progress} in ${seconds}`;
+  }
+
+  start(now) {
+    this.points = {};
+    this.limbLengths = {};
+    this.beginStep(0, now);
+  }
+
+  cancel() {
+    this.stepIndex = -1;
+  }
+
+  beginStep(index, now) {
+    this.stepIndex = index;
+    this.recording = false;
+    this.samples = {};
+    this.limbSamples = {};
+    this.now = now;
+    this.phaseEnd = now + this.settleTime;
+  }
+
+  update(signals, now, limbLengths = {}) {
+    if (!this.running) {
+      return;
+    }
+    this.now = now;
+    const step = this.steps[this.stepIndex];
+    if (this.recording) {
+      Object.keys(step.references).forEach((name) => {
+        if (signals[name] !== undefined) {
+          (this.samples[name] = this.samples[name] || []).push(signals[name]);
+        }
+      });
+      if (step.captureLimbs) {
+        Object.keys(limbLengths).forEach((name) => {
+          (this.limbSamples[name] = this.limbSamples[name] || [])
+              .push(limbLengths[name]);
+        });
+      }
+    }
+    if (now < this.phaseEnd) {
+      return;
+    }
+    if (!this.recording) {
+      this.recording = true;
+      this.phaseEnd = now + this.recordTime;
+      return;
+    }
+    Object.keys(this.samples).forEach((name) => {
+      (this.points[name] = this.points[name] || [])
+          .push([median(this.samples[name]), step.references[name]]);
+    });
+    Object.keys(this.limbSamples).forEach((name) => {
+      this.limbLengths[name] = median(this.limbSamples[name]);
+    });
+    if (this.stepIndex + 1 < this.steps.length) {
+      this.beginStep(this.stepIndex + 1, now);
+    } else {
+      this.finish();
+    }
+  }
+
+  finish() {
+    this.stepIndex = -1;
+    const mappings = {};
+    Object.keys(this.points).forEach((name) => {
+      // A mapping needs at least two reference poses
+      if (this.points[name].length >= 2) {
+        mappings[name] = fitMapping(this.points[name], this.mode);
+      }
+    });
+    this.onFinish(new Calibration(mappings, this.limbLengths));
+  }
+}
@@ -18,9 +18,25 @@ import * as posenet from '@tensorflow-models/posenet';
 import dat from 'dat.gui';
 import Stats from 'stats.js';
 
-import {drawBoundingBox, drawKeypoints, drawSkeleton, getBoundingBoxSize,
-        existsArms, getShoulderLine, getUpperArmLine, getArmsAngle,
-        getWristAngle, getFaceYaw, existsEyeAndNose} from './demo_util';
+import {drawBoundingBox, drawKeypoints, drawSkeleton} from './demo_util';
+import {getLimbLengths, getRobotPose, toConfidences,
+        toSignals} from './kinematics';
+import {BodyScale} from './body_scale';
+import {aggregationModes, defaultAggregation} from './angle_aggregation';
+import {defaultFilterParams, filterGroups,
+        KeypointFilter} from './keypoint_filter';
+import {createServoDriver} from './servo_driver';
+import {SimulatorServoDriver} from './simulator';
+import {openRecording, Recorder, RecorderServoDriver,
+        Replayer} from './recorder';
+import {Robot} from './robot';
+import {KeypointCompletion} from './keypoint_completion';
+import {PlausibilityCheck} from './plausibility';
+import {PoseTracker} from './pose_tracker';
+import {RobotAssignment, selectionPolicies} from './robot_assignment';
+import {loadRobotConfigs} from './robot_config';
+import {CalibrationWizard, getLastOperator, loadCalibration,
+        removeCalibration, saveCalibration} from './calibration';
 import { start } from 'repl';
 import { math } from '@tensorflow/tfjs';
 
@@ -28,10 +44,26 @@ const videoWidth = 600;
 const videoHeight = 500;
 const stats = new Stats();
 
-var left_angles = [];
-var right_angles = [];
-var faceYaws = [];
-var facePitchs = [];
+// Robots imitating the people in frame, one person per robot
+let robots = [];
+let tracker;
+let assignment;
+// Track id followed by each robot in the previous frame
+let robotTrackIds = [];
+// Body scale, plausibility check, keypoint completion and keypoint filter of
+// the person imitated by each robot
+let bodyScales = [];
+let plausibilityChecks = [];
+let keypointCompletions = [];
+let keypointFilters = [];
+// Maps the measured signals of the current operator to calibrated signals
+let calibration;
+let calibrationWizard;
+// Session recording and the replay in progress, if any
+const recorder = new Recorder();
+let replayer;
+// Status elements showing the last target of a joint of the first robot
+const statusElementIds = {rightArm: 'right', leftArm: 'left'};
 
 function isAndroid() {
   return /Android/i.test(navigator.userAgent);
@@ -107,6 +139,44 @@ const guiState = {
     showPoints: true,
     showBoundingBox: false,
     showAll: false,
+    showSimulator: true,
+  },
+  // How the robots pick the person they follow, see selectionPolicies, and
+  // the robot the clicked person or gesture takes control of
+  operator: {
+    policy: 'largest',
+    handoverRobot: 0,
+  },
+  calibration: {
+    operator: 'default',
+    mode: 'piecewise',
+  },
+  // obniz ID of each robot
+  connection: [],
+  safety: {
+    // Seconds without a confident pose before the robot is parked
+    timeout: 2,
+    // 'freeze' holds every servo where it is, 'park' eases them to neutral
+    stopMode: 'freeze',
+  },
+  // Longest time (ms) a missing keypoint is completed for, 0 to disable
+  completion: {
+    maxGap: 300,
+  },
+  // Filter of the keypoint positions and its parameters per joint group
+  filter: {
+    type: 'oneEuro',
+    groups: Object.keys(filterGroups).reduce((groups, name) => {
+      groups[name] = Object.assign({}, defaultFilterParams);
+      return groups;
+    }, {}),
+  },
+  // How the angles collected between servo updates become one target
+  aggregation: Object.assign({}, defaultAggregation),
+  record: {
+    // 'pipeline' feeds recorded poses to the pose loop, 'servos' sends the
+    // recorded commands straight to the servos
+    replayMode: 'pipeline',
   },
   net: null,
 };
@@ -114,7 +184,7 @@ const guiState = {
 /**
  * Sets up dat.gui controller on the top-right of the window
  */
-function setupGui(cameras, net) {
+function setupGui(cameras, net, simulators) {
   guiState.net = net;
 
   if (cameras.length > 0) {
@@ -174,8 +244,96 @@ function setupGui(cameras, net) {
   output.add(guiState.output, 'showPoints');
   output.add(guiState.output, 'showBoundingBox');
   output.add(guiState.output, 'showAll');
+  output.add(guiState.output, 'showSimulator').onChange((show) => {
+    simulators.forEach((simulator) => {
+      simulator.visible = show;
+      simulator.draw();
+    });
+  });
   output.open();
 
+  let operator = gui.addFolder('Operator');
+  operator.add(guiState.operator, 'policy', selectionPolicies)
+      .onChange((policy) => assignment.policy = policy);
+  if (robots.length > 1) {
+    operator.add(guiState.operator, 'handoverRobot', 0, robots.length - 1)
+        .step(1)
+        .onChange((robot) => assignment.handoverRobot = robot);
+  }
+
+  // Calibration: the operator holds a few reference poses and the measured
+  // signals are fitted to the reference angles of those poses
+  let calib = gui.addFolder('Calibration');
+  calib.add(guiState.calibration, 'operator').onFinishChange((operator) => {
+    calibration = loadCalibration(operator);
+  });
+  calib.add(guiState.calibration, 'mode', ['piecewise', 'linear']);
+  calib.add({start: () => startCalibration()}, 'start');
+  calib.add({cancel: () => calibrationWizard.cancel()}, 'cancel');
+  calib.add({clear: () => {
+    removeCalibration(guiState.calibration.operator);
+    calibration = loadCalibration(guiState.calibration.operator);
+  }}, 'clear');
+
+  let completion = gui.addFolder('Completion');
+  completion.add(guiState.completion, 'maxGap', 0, 1000);
+
+  let filter = gui.addFolder('Filter');
+  filter.add(guiState.filter, 'type', ['none', 'oneEuro', 'kalman']);
+  Object.keys(guiState.filter.groups).forEach((name) => {
+    const group = filter.addFolder(name);
+    const params = guiState.filter.groups[name];
+    group.add(params, 'minCutoff', 0.01, 10);
+    group.add(params, 'beta', 0, 5);
+    group.add(params, 'processNoise', 0.1, 1000);
+    group.add(params, 'measurementNoise', 0.0001, 0.1);
+  });
+
+  let aggregation = gui.addFolder('Aggregation');
+  aggregation.add(guiState.aggregation, 'mode', aggregationModes);
+  aggregation.add(guiState.aggregation, 'halfLife', 10, 1000);
+  aggregation.add(guiState.aggregation, 'trim', 0, 0.5);
+
+  let record = gui.addFolder('Record / Replay');
+  record.add({startRecording: () => recorder.start()}, 'startRecording');
+  record.add({stopRecording: () => recorder.stop()}, 'stopRecording');
+  record.add({downloadRecording: () => recorder.download()},
+             'downloadRecording');
+  record.add(guiState.record, 'replayMode', ['pipeline', 'servos']);
+  record.add({replay: () => {
+    openRecording().then(startReplay).catch((e) => {
+      showInfo(`Cannot replay this file: ${e.message}`);
+    });
+  }}, 'replay');
+  record.add({stopReplay: () => stopReplay()}, 'stopReplay');
+
+  let safety = gui.addFolder('Safety');
+  safety.add(guiState.safety, 'timeout', 0.5, 10).onChange((timeout) => {
+    robots.forEach((robot) => robot.watchdog.timeout = timeout * 1000);
+  });
+  safety.add(guiState.safety, 'stopMode', ['freeze', 'park']);
+  safety.add({emergencyStop: () => emergencyStop()}, 'emergencyStop');
+  safety.add({rearm: () => rearm()}, 'rearm');
+  safety.open();
+
+  // Only the obniz driver can switch to another board
+  if (robots[0].servoDriver.setObnizId) {
+    let connection = gui.addFolder('Connection');
+    robots.forEach((robot, i) => {
+      connection.add(guiState.connection, i)
+          .name(`robot ${i} obnizId`)
+          .onFinishChange((obnizId) => robot.servoDriver.setObnizId(obnizId));
+    });
+  }
+
+  // The log driver keeps its commands in memory until they are downloaded
+  if (robots[0].servoDriver.download) {
+    gui.add({downloadServoLog: () => {
+      robots.forEach((robot, i) => {
+        robot.servoDriver.download(`servo_log_${i}.tsv`);
+      });
+    }}, 'downloadServoLog');
+  }
 
   architectureController.onChange(function(architecture) {
     guiState.changeToArchitecture = architecture;
@@ -195,6 +353,167 @@ function setupGui(cameras, net) {
   });
 }
 
+/**
+ * Starts the calibration wizard for the operator selected in the GUI
+ */
+function startCalibration() {
+  const operator = guiState.calibration.operator;
+  calibrationWizard = new CalibrationWizard({
+    mode: guiState.calibration.mode,
+    onFinish: (result) => {
+      calibration = result;
+      saveCalibration(operator, result);
+    },
+  });
+  calibrationWizard.start(performance.now());
+}
+
+/**
+ * Draws the instruction of the calibration wizard over the video
+ */
+function drawCalibrationPrompt(ctx) {
+  ctx.font = '24px sans-serif';
+  ctx.fillStyle = 'yellow';
+  ctx.fillText(calibrationWizard.prompt, 10, 30);
+}
+
+/**
+ * Replays a recording in the mode selected in the GUI. In 'servos' mode the
+ * planners are paused so that only the recorded commands reach the servos.
+ */
+function startReplay(recording) {
+  replayer = new Replayer(recording);
+  replayer.mode = guiState.record.replayMode;
+  if (replayer.mode === 'servos') {
+    robots.forEach((robot) => robot.planner.stop());
+  }
+  replayer.start();
+}
+
+/**
+ * Shows a message to the user above the video.
+ */
+function showInfo(message) {
+  const info = document.getElementById('info');
+  info.textContent = message;
+  info.style.display = 'block';
+}
+
+function stopReplay() {
+  if (!replayer) {
+    return;
+  }
+  // The recorded commands left the servos away from the planned trajectories:
+  // resume at rest from where they are, and park again if nobody is in frame
+  if (replayer.mode === 'servos') {
+    robots.forEach((robot) => {
+      robot.planner.reset(robot.driver.angles);
+      robot.planner.hold();
+      robot.watchdog.unpark();
+      robot.planner.start();
+    });
+  }
+  replayer = null;
+}
+
+/**
+ * Freezes or parks every servo and ignores pose input until re-armed
+ */
+function emergencyStop() {
+  stopReplay();
+  robots.forEach((robot) => robot.emergencyStop(guiState.safety.stopMode));
+}
+
+function rearm() {
+  robots.forEach((robot) => robot.rearm());
+}
+
+/**
+ * Space or Escape stops the robot, R re-arms it
+ */
+function setupSafetyKeys() {
+  document.addEventListener('keydown', (event) => {
+    // Typing into a GUI text field is not a command
+    if (event.target.tagName === 'INPUT') {
+      return;
+    }
+    if (event.key === ' ' || event.key === 'Escape') {
+      event.preventDefault();
+      emergencyStop();
+    } else if (event.key === 'r' || event.key === 'R') {
+      rearm();
+    }
+  });
+}
+
+function drawEmergencyStop(ctx) {
+  ctx.font = 'bold 32px sans-serif';
+  ctx.fillStyle = 'red';
+  ctx.fillText('EMERGENCY STOP (press R to re-arm)', 10, videoHeight - 20);
+}
+
+/**
+ * Shows the connection state of the servo driver of every robot
+ */
+function showConnectionStates(type) {
+  const colors = {connected: 'green', connecting: 'orange'};
+  const element = document.getElementById('connection');
+  element.innerHTML = '';
+  robots.forEach((robot, i) => {
+    const state = robot.servoDriver.state;
+    const line = document.createElement('div');
+    line.textContent = `robot ${i} ${type}: ${state}`;
+    line.style.color = colors[state] || 'red';
+    element.appendChild(line);
+  });
+}
+
+/**
+ * Adds a canvas for the simulator of one more robot
+ */
+function createSimulatorCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 300;
+  canvas.height = videoHeight;
+  document.getElementById('simulators').appendChild(canvas);
+  return canvas;
+}
+
+/**
+ * Hands control to the person clicked on the output canvas
+ */
+function setupOperatorClick(canvas) {
+  canvas.addEventListener('click', (event) => {
+    // The canvas may be scaled by CSS
+    const rect = canvas.getBoundingClientRect();
+    assignment.click(
+        (event.clientX - rect.left) * canvas.width / rect.width,
+        (event.clientY - rect.top) * canvas.height / rect.height);
+  });
+}
+
+/**
+ * Highlights the bounding box of a person followed by a robot
+ */
+function drawOperator({minX, minY, maxX, maxY}, ctx) {
+  ctx.save();
+  ctx.strokeStyle = 'yellow';
+  ctx.lineWidth = 4;
+  ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+  ctx.restore();
+}
+
+/**
+ * Labels the pose of a person with the index of the robot imitating them and
+ * their track id
+ */
+function drawRobotLabel(keypoints, robot, trackId, ctx) {
+  const {x, y} = keypoints[0].position;
+  ctx.font = 'bold 20px sans-serif';
+  ctx.fillStyle = 'yellow';
+  ctx.fillText(`robot ${robot} #${trackId}`, x, y - 30);
+}
+
 /**
  * Sets up a frames per second panel on the top-left of the window
  */
@@ -215,6 +534,7 @@ function detectPoseInRealTime(video, net) {
 
   canvas.width = videoWidth;
   canvas.height = videoHeight;
+  setupOperatorClick(canvas);
 
   async function poseDetectionFrame() {
     if (guiState.changeToArchitecture) {
@@ -236,27 +556,52 @@ function detectPoseInRealTime(video, net) {
     const imageScaleFactor = guiState.input.imageScaleFactor;
     const outputStride = +guiState.input.outputStride;
 
+    // Events of the recording being replayed that are due in this frame
+    if (replayer && !replayer.playing) {
+      stopReplay();
+    }
+    const replayEvents = replayer ? replayer.poll() : [];
+    const replayMode = replayer ? replayer.mode : null;
+
     let poses = [];
     let minPoseConfidence;
     let minPartConfidence;
     switch (guiState.algorithm) {
       case 'single-pose':
-        const pose = await guiState.net.estimateSinglePose(
-            video, imageScaleFactor, flipHorizontal, outputStride);
-        poses.push(pose);
+        if (replayMode !== 'pipeline') {
+          const pose = await guiState.net.estimateSinglePose(
+              video, imageScaleFactor, flipHorizontal, outputStride);
+          poses.push(pose);
+        }
         minPoseConfidence = +guiState.singlePoseDetection.minPoseConfidence;
         minPartConfidence = +guiState.singlePoseDetection.minPartConfidence;
         break;
       case 'multi-pose':
-        poses = await guiState.net.estimateMultiplePoses(
-            video, imageScaleFactor, flipHorizontal, outputStride,
-            guiState.multiPoseDetection.maxPoseDetections,
-            guiState.multiPoseDetection.minPartConfidence,
-            guiState.multiPoseDetection.nmsRadius);
+        if (replayMode !== 'pipeline') {
+          poses = await guiState.net.estimateMultiplePoses(
+              video, imageScaleFactor, flipHorizontal, outputStride,
+              guiState.multiPoseDetection.maxPoseDetections,
+              guiState.multiPoseDetection.minPartConfidence,
+              guiState.multiPoseDetection.nmsRadius);
+        }
         minPoseConfidence = +guiState.multiPoseDetection.minPoseConfidence;
         minPartConfidence = +guiState.multiPoseDetection.minPartConfidence;
         break;
     }
+    // A frame of the recording has one pose per robot
+    const replayedPoses = [];
+    replayEvents.forEach((event) => {
+      const robot = robots[event.robot || 0];
+      if (replayMode === 'pipeline' && event.type === 'pose') {
+        replayedPoses[event.robot || 0] = event.pose;
+      } else if (replayMode === 'servos' && event.type === 'command' &&
+                 robot) {
+        robot.driver.write(event.name, event.angle);
+      }
+    });
+    if (replayMode === 'pipeline') {
+      poses = replayedPoses.filter((pose) => pose);
+    }
 
     ctx.clearRect(0, 0, videoWidth, videoHeight);
 
@@ -291,50 +636,78 @@ function detectPoseInRealTime(video, net) {
         }
       });
     }
-    // 一番大きい人物を取得
-    let maxSize = 0;
-    let maxPose;
-    for (let pose of confidentPoses) {
-      let size = getBoundingBoxSize(pose.keypoints);
-      if (size > maxSize) {
-        maxSize = size;
-        maxPose = pose;
+    // Person imitated by each robot: every robot keeps following the track
+    // of its person for as long as the tracker follows them
+    const tracks = tracker.update(confidentPoses, minPartConfidence);
+    assignment.assign(tracks, minPartConfidence).forEach((track, i) => {
+      const robot = robots[i];
+      // Someone new starts with a fresh body scale and filter
+      const trackId = track ? track.id : null;
+      if (trackId !== robotTrackIds[i]) {
+        bodyScales[i].reset();
+        plausibilityChecks[i].reset();
+        keypointCompletions[i].reset();
+        keypointFilters[i].reset();
+        robotTrackIds[i] = trackId;
       }
-    }
-    if (maxPose) {
-      if (!guiState.output.showAll) {
-        if (guiState.output.showPoints)
-          drawKeypoints(maxPose.keypoints, minPartConfidence, ctx);
-        if (guiState.output.showSkeleton)
-          drawSkeleton(maxPose.keypoints, minPartConfidence, ctx);
-        if (guiState.output.showBoundingBox)
-          drawBoundingBox(maxPose.keypoints, ctx);
+      const pose = track ? track.pose : undefined;
+      const scale =
+          pose ? bodyScales[i].update(pose.keypoints, minPartConfidence) : null;
+      // Impossible keypoints are rejected and briefly missing ones completed
+      // before they reach the filter
+      let keypoints = null;
+      if (pose) {
+        const now = performance.now();
+        keypoints = scale ?
+            plausibilityChecks[i].validate(
+                pose.keypoints, now, scale, minPartConfidence) :
+            pose.keypoints;
+        keypoints = keypointCompletions[i].complete(
+            keypoints, now, minPartConfidence);
+        keypoints = keypointFilters[i].filter(
+            keypoints, now, scale || 1, minPartConfidence);
       }
-      
-      // 一番大きい人物の腕取得
-      const offset = 30;
-      if (existsArms(maxPose.keypoints, minPartConfidence).left) {
-        let angles = getArmsAngle(maxPose.keypoints);
-        let wristAngles = getWristAngle(maxPose.keypoints);
-        if (angles.left < wristAngles.left)
-          left_angles.push(wristAngles.left + offset);
-        else
-          left_angles.push(angles.left + offset);
+      const robotPose = pose ?
+          getRobotPose(keypoints, minPartConfidence, flipHorizontal, scale,
+                       calibration.limbLengths) :
+          {};
+      const signals = toSignals(robotPose);
+      if (pose) {
+        robot.watchdog.feed();
+        recorder.addPose(pose, i);
+        if (!guiState.output.showAll) {
+          if (guiState.output.showPoints) {
+            drawKeypoints(pose.keypoints, minPartConfidence, ctx);
+          }
+          if (guiState.output.showSkeleton) {
+            drawSkeleton(pose.keypoints, minPartConfidence, ctx);
+          }
+          if (guiState.output.showBoundingBox) {
+            drawBoundingBox(pose.keypoints, ctx);
+          }
+        }
+        drawOperator(track.box, ctx);
+        drawRobotLabel(pose.keypoints, i, trackId, ctx);
       }
-      if (existsArms(maxPose.keypoints, minPartConfidence).right) {
-        let angles = getArmsAngle(maxPose.keypoints);
-        let wristAngles = getWristAngle(maxPose.keypoints);
-        if (angles.right < wristAngles.right)
-          right_angles.push(180 - wristAngles.right - offset);
-        else
-          right_angles.push(180 - angles.right - offset);
+      recorder.addRobotPose(robotPose, i);
+      // The calibration wizard guides the person of the first robot
+      if (i === 0) {
+        calibrationWizard.update(
+            signals, performance.now(),
+            pose ? getLimbLengths(keypoints, minPartConfidence, scale) : {});
       }
-      // 一番大きい人物の顔取得
-      // yaw軸
-      if (existsEyeAndNose(maxPose.keypoints, minPartConfidence)) {
-        let faceYaw = getFaceYaw(maxPose.keypoints);
-        faceYaws.push(faceYaw);
+      // Recorded commands drive the servos while replaying in 'servos' mode
+      if (replayMode !== 'servos') {
+        robot.pushSignals(
+            calibration.apply(signals), toConfidences(robotPose),
+            performance.now());
       }
+    });
+    if (calibrationWizard.running) {
+      drawCalibrationPrompt(ctx);
+    }
+    if (!robots[0].watchdog.armed) {
+      drawEmergencyStop(ctx);
     }
 
     // End monitoring code for frames per second
@@ -354,26 +727,59 @@ export async function bindPage() {
   // Load the PoseNet model weights with architecture 0.75
   const net = await posenet.load(0.75);
   
-  let obniz = new Obniz("5976-2157");
-  obniz.onconnect = async function () {
-    let rightServo = obniz.wired("ServoMotor", {signal: 0, vcc: 1, gnd: 2});
-    let leftServo = obniz.wired("ServoMotor", {signal: 3, vcc: 4, gnd: 5});
-    let faceYawServo = obniz.wired("ServoMotor", {signal: 6, vcc: 7, gnd: 8});
-
-    rightServo.status = 150;
-    rightServo.elmId = "right";
-    rightServo.angle(rightServo.status);
-    leftServo.status = 30;
-    leftServo.elmId = "left";
-    leftServo.angle(leftServo.status);
-    faceYawServo.status = 90;
-    faceYawServo.angle(faceYawServo.status);
-
-    startServo(rightServo, right_angles, 200);
-    startServo(leftServo, left_angles, 200);
-    startServo(faceYawServo, faceYaws, 200);
-    
+  // The robot description is robot.json unless ?robot=<url> is given
+  const params = new URLSearchParams(window.location.search);
+  let robotConfigs = await loadRobotConfigs(params.get('robot'));
+  // ?obniz=<id>,<id>,... overrides the obniz IDs, one robot per ID
+  if (params.get('obniz')) {
+    const base = robotConfigs[0];
+    robotConfigs = params.get('obniz').split(',').map((obnizId, i) => {
+      return Object.assign({}, robotConfigs[i] || base, {obnizId: obnizId});
+    });
   }
+
+  // Reuse the calibration of the last operator
+  guiState.calibration.operator = getLastOperator();
+  calibration = loadCalibration(guiState.calibration.operator);
+  calibrationWizard = new CalibrationWizard();
+
+  // The actuator driver is chosen with ?driver=obniz|mock|log. The simulator
+  // and the recorder receive the same commands.
+  const driverType = params.get('driver') || 'obniz';
+  const simulators = [];
+  robots = robotConfigs.map((config, i) => {
+    guiState.connection[i] = config.obnizId;
+    const servoDriver =
+        createServoDriver(driverType, {obnizId: config.obnizId});
+    const simulator = new SimulatorServoDriver(createSimulatorCanvas());
+    simulators.push(simulator);
+    const robot = new Robot(
+        config, servoDriver, [simulator, new RecorderServoDriver(recorder, i)],
+        guiState.safety.timeout * 1000);
+    robot.onstatechange = () => showConnectionStates(driverType);
+    robot.aggregation = guiState.aggregation;
+    return robot;
+  });
+  robots[0].ontarget = (name, angle) => {
+    const elmId = statusElementIds[name];
+    if (elmId !== undefined) {
+      document.getElementById(elmId).innerHTML = angle;
+    }
+  };
+  tracker = new PoseTracker();
+  assignment = new RobotAssignment(robots.length, {
+    policy: guiState.operator.policy,
+    frameWidth: videoWidth,
+    frameHeight: videoHeight,
+  });
+  bodyScales = robots.map(() => new BodyScale());
+  plausibilityChecks = robots.map(() => new PlausibilityCheck());
+  keypointCompletions =
+      robots.map(() => new KeypointCompletion(guiState.completion));
+  keypointFilters = robots.map(() => new KeypointFilter(guiState.filter));
+  showConnectionStates(driverType);
+  robots.forEach((robot) => robot.start());
+
   document.getElementById('loading').style.display = 'none';
   document.getElementById('main').style.display = 'block';
 
@@ -382,63 +788,17 @@ export async function bindPage() {
   try {
     video = await loadVideo();
   } catch (e) {
-    let info = document.getElementById('info');
-    info.textContent = 'this browser does not support video capture,' +
-        'or this device does not have a camera';
-    info.style.display = 'block';
+    showInfo('this browser does not support video capture,' +
+             'or this device does not have a camera');
     throw e;
   }
 
-  setupGui([], net);
+  setupGui([], net, simulators);
   setupFPS();
+  setupSafetyKeys();
   detectPoseInRealTime(video, net);
 }
 
-async function moveServoTo(servo, to) {
-  if (to < 0 || to > 180)
-    return;
-  if (servo.status < to) 
-    for (let i = servo.status; i <= to; i++) {
-      servo.angle(i);
-      servo.status = i;
-      if (servo.elmId != undefined)
-        document.getElementById(servo.elmId).innerHTML = servo.status;
-      await servo.obniz.wait(5);
-    }
-  else if (servo.status > to)
-    for (let i = servo.status; i >= to; i--) {
-      servo.angle(i);
-      servo.status = i;
-      if (servo.elmId != undefined)
-        document.getElementById(servo.elmId).innerHTML = servo.status;
-      await servo.obniz.wait(5);
-    }
-}
-
-function startServo(servo, angles, interval) {
-  let updateServo = setInterval( () => {
-    if (angles.length > 0) {
-      let med = median(angles);
-      if (Math.abs(servo.status - med) > 5) {
-        // moveServoTo(servo, med);
-        servo.angle(med)
-      }
-      angles.splice(0);
-    }
-  }, interval);
-}
-
-function median(list) {
-  let half = (list.length / 2) | 0;
-  let sorted = list.slice();
-  sorted.sort();
-  if (sorted.length % 2) {
-    return sorted[half];
-  }
-
-  return (sorted[half - 1] + sorted[half]) / 2;
-}
-
 function sleep(a){
   var dt1 = new Date().getTime();
   var dt2 = new Date().getTime();
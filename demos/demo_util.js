@@ -117,6 +117,18 @@ export async function renderToCanvas(a, ctx) {
   ctx.putImageData(imageData, 0, 0);
 }
 
+/**
+ * Lets the user download a string as a file
+ */
+export function downloadFile(text, filename, type = 'text/plain') {
+  const blob = new Blob([text], {type: type});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
 /**
  * Draw an image on a canvas
  */
@@ -218,6 +230,24 @@ export function existWritst(keypoints, minConfidence) {
     return {left: false, right: false};
 }
 
+/**
+ * Whether both wrists (9, 10) are above the head, i.e. above the highest face
+ * keypoint (0-4) above minConfidence.
+ */
+export function areBothWristsRaised(keypoints, minConfidence) {
+  const face = keypoints.slice(0, 5).filter(({score}) => {
+    return score > minConfidence;
+  });
+  if (face.length === 0) {
+    return false;
+  }
+  const top = Math.min(...face.map(({position}) => position.y));
+  return [9, 10].every((id) => {
+    return keypoints[id].score > minConfidence &&
+        keypoints[id].position.y < top;
+  });
+}
+
 export function existsEyeAndNose(keypoints, minConfidence) {
     // 0	nose
     // 1	leftEye
@@ -249,124 +279,380 @@ export function existsNoseAndEyeAndEar(keypoints, minConfidence) {
     return {left: false, right: false};
 }
 
-export function getFaceYaw(keypoints) {
-  // 両目と鼻による三角形において鼻から両目の線分に垂線を下ろした点Pが
-  // 両目の線分のどの辺りに位置するか計算
-  const nose = keypoints[0].position;
-  const leftEye = keypoints[1].position;
-  const rightEye = keypoints[2].position;
-  var eyeVector = {};
-  eyeVector.x = rightEye.x - leftEye.x;
-  eyeVector.y = rightEye.y - leftEye.y;
-  var eyeToNoseVector = {};
-  // TODO: これでよい？
-  eyeToNoseVector.x = nose.x - leftEye.x;
-  eyeToNoseVector.y = eyeVector.y;
-  var ratio = norm(eyeToNoseVector) / norm(eyeVector);
-  return 180 - ratio * 180;
+// Rough position of the nose tip (cm) relative to the eye line and the ear
+// line of a face looking straight ahead: how far below and how far in front
+// of each line it is
+const noseModel = {
+  eye: {below: 4, front: 2},
+  ear: {below: 0, front: 10},
+};
+
+// Half the distance (cm) between the eyes and between the ears
+const faceHalfWidth = {eye: 3.2, ear: 7.5};
+
+/**
+ * Where a point projects on the line from a to b: 0 at a and 1 at b. null when
+ * a and b coincide.
+ */
+function getProjectionRatio(point, a, b) {
+  const vector = {x: b.x - a.x, y: b.y - a.y};
+  const lengthSquared = vector.x * vector.x + vector.y * vector.y;
+  if (lengthSquared === 0) {
+    return null;
+  }
+  return ((point.x - a.x) * vector.x + (point.y - a.y) * vector.y) /
+      lengthSquared;
 }
 
+/**
+ * Estimates how far the head is turned. The angle is 90 degrees when facing
+ * the camera and grows as the operator turns their head to their left.
+ *
+ * The nose is projected onto the eye line, which keeps the estimate steady
+ * when the head rolls, and its offset from the middle is solved for the yaw
+ * with noseModel and faceHalfWidth. When both ears are detected the nose is
+ * also projected onto the ear line and the two estimates are averaged, their
+ * disagreement lowering the confidence. With a single ear the head is turned
+ * towards the hidden ear, so the estimate is kept on that side. earFlag is
+ * the result of existsNoseAndEyeAndEar(). Returns {angle, confidence}.
+ */
+export function getFaceYaw(keypoints, earFlag = {left: false, right: false}) {
+  // 鼻を目(と耳)の線分に射影した位置から首の向きを求める
+  const [nose, leftEye, rightEye, leftEar, rightEar] =
+      [0, 1, 2, 3, 4].map((id) => keypoints[id].position);
+  const eyeRatio = getProjectionRatio(nose, leftEye, rightEye);
+  if (eyeRatio === null) {
+    return {angle: 90, confidence: 0};
+  }
+  // Positive when turned to the operator's right, towards the right eye
+  const toYaw = (ratio, line) => Math.atan(
+      (2 * ratio - 1) * faceHalfWidth[line] / noseModel[line].front);
+
+  let rad = toYaw(eyeRatio, 'eye');
+  let confidence = Math.min(
+      keypoints[0].score, keypoints[1].score, keypoints[2].score);
+  const earRatio = earFlag.left && earFlag.right ?
+      getProjectionRatio(nose, leftEar, rightEar) :
+      null;
+  if (earRatio !== null) {
+    const earRad = toYaw(earRatio, 'ear');
+    const earConfidence = Math.min(keypoints[3].score, keypoints[4].score);
+    const agreement = Math.max(0, Math.cos(rad - earRad));
+    rad = (rad * confidence + earRad * earConfidence) /
+        (confidence + earConfidence);
+    confidence *= agreement;
+  } else if (earFlag.left !== earFlag.right) {
+    // Only the left ear shows when turned to the right and vice versa
+    const side = earFlag.left ? 1 : -1;
+    if (rad * side < 0) {
+      rad = 0;
+      confidence *= 0.5;
+    }
+  }
+  const angle = 90 - rad * 180 / Math.PI;
+  return {angle: Math.min(180, Math.max(0, angle)), confidence: confidence};
+}
+
+/**
+ * Estimates how far the head is tilted up or down. The angle is 90 degrees
+ * when looking straight ahead and grows as the head looks down. earFlag is the
+ * result of existsNoseAndEyeAndEar(); when only one ear is detected the ear
+ * line is assumed parallel to the eye line, which lowers the confidence.
+ * Returns {angle, confidence}, confidence being 0 without any ear.
+ */
 export function getFacePitch(keypoints, earFlag) {
-  // 
+  // 鼻の目の線分からの高さと耳の線分からの高さの比から首の傾きを求める
+  const nose = keypoints[0].position;
   const leftEye = keypoints[1].position;
   const rightEye = keypoints[2].position;
-  const nose = keypoints[0].position;
-  var eyeVector = {};
-  eyeVector.x = rightEye.x - leftEye.x;
-  eyeVector.y = rightEye.y - leftEye.y;
-  var eyeToNoseVector = {};
-  eyeToNoseVector = {};
-  eyeToNoseVector.x = nose.x - leftEye.x;
-  eyeToNoseVector.y = nose.y - leftEye.y;
-  var angle = calculateAngle(eyeToNoseVector, eyeVector);
-  var triangleHeight = norm(eyeToNoseVector) * Math.sin(angle * (Math.PI / 180));
+  const eyeVector = {x: rightEye.x - leftEye.x, y: rightEye.y - leftEye.y};
+  const eyeHeight = getHeightBelowLine(nose, leftEye, eyeVector);
+
+  let earHeight;
+  let confidence = Math.min(
+      keypoints[0].score, keypoints[1].score, keypoints[2].score);
   if (earFlag.left && earFlag.right) {
     const leftEar = keypoints[3].position;
     const rightEar = keypoints[4].position;
-    var earVector = {};
-    earVector.x = rightEar.x - leftEar.x;
-    earVector.y = rightEar.y - leftEar.y;
-    var earToNoseVector = {};
-    earToNoseVector.x = nose.x - leftEar.x;
-    earToNoseVector.y = nose.y - leftEar.y;
-    var angle = calculateAngle(earToNoseVector, earVector);
-    var noseHeight = norm(earToNoseVector) * Math.sin(angle * (Math.PI / 180));
+    const earVector = {x: rightEar.x - leftEar.x, y: rightEar.y - leftEar.y};
+    earHeight = getHeightBelowLine(nose, leftEar, earVector);
+    confidence = Math.min(confidence, keypoints[3].score, keypoints[4].score);
+  } else if (earFlag.left || earFlag.right) {
+    const idx = earFlag.left ? 3 : 4;
+    earHeight = getHeightBelowLine(nose, keypoints[idx].position, eyeVector);
+    confidence = Math.min(confidence, keypoints[idx].score) * 0.7;
   } else {
-    var idx = earFlag.left ? 3 : 4;
-    const ear = keypoints[idx].position;
-    var earVector = {};
-    earVector.x = ear.x + eyeVector.x;
-    earVector.y = ear.y + eyeVector.y;
-    // TODO
+    return {angle: 90, confidence: 0};
   }
-}
 
-function getShoulderLine(keypoints) {
-  const leftShoulder = keypoints[5].position;
-  const rightShoulder = keypoints[6].position;
-  let x = leftShoulder.x - rightShoulder.x;
-  let y = leftShoulder.y - rightShoulder.y;
-  return {x: x, y: y};
+  // Solve eyeHeight : earHeight for the pitch, where each height is
+  // below * cos(pitch) + front * sin(pitch) of the nose model
+  const {eye, ear} = noseModel;
+  const rad = Math.atan2(
+      earHeight * eye.below - eyeHeight * ear.below,
+      eyeHeight * ear.front - earHeight * eye.front);
+  const angle = 90 + rad * 180 / Math.PI;
+  return {angle: Math.min(180, Math.max(0, angle)), confidence: confidence};
 }
 
-function getUpperArmLine(keypoints) {
-  const leftShoulder = keypoints[5].position;
-  const rightShoulder = keypoints[6].position;
-  const leftElbow = keypoints[7].position;
-  const rightElbow = keypoints[8].position;
-  let left_x = leftElbow.x - leftShoulder.x;
-  let left_y = leftElbow.y - leftShoulder.y;
-  let right_x = rightElbow.x - rightShoulder.x;
-  let right_y = rightElbow.y - rightShoulder.y;
-  return {
-    left: {
-      x: left_x,
-      y: left_y
-    },
-    right: {
-      x: right_x,
-      y: right_y
+/**
+ * Estimates the sideways tilt of the head from the line between the eyes and,
+ * when both ears are detected, the line between the ears. The angle is 90
+ * degrees when the head is upright and grows as the operator tilts their head
+ * towards their right shoulder. mirrored tells whether the keypoints come from
+ * a mirrored image, as with flipHorizontal. Returns {angle, confidence}.
+ */
+export function getFaceRoll(keypoints, earFlag, mirrored = true) {
+  // 両目(と両耳)を結ぶ線分の傾きから首の傾きを求める
+  const lines = [[keypoints[1], keypoints[2]]];
+  if (earFlag.left && earFlag.right) {
+    lines.push([keypoints[3], keypoints[4]]);
+  }
+  let x = 0;
+  let y = 0;
+  let confidence = 1;
+  lines.forEach(([a, b]) => {
+    let vector = {x: b.position.x - a.position.x,
+                  y: b.position.y - a.position.y};
+    // Left and right swap when mirrored, always point towards the image right
+    if (vector.x < 0) {
+      vector = {x: -vector.x, y: -vector.y};
+    }
+    const length = norm(vector);
+    if (length > 0) {
+      const weight = Math.min(a.score, b.score);
+      x += weight * vector.x / length;
+      y += weight * vector.y / length;
     }
+    confidence = Math.min(confidence, a.score, b.score);
+  });
+  if (x === 0 && y === 0) {
+    return {angle: 90, confidence: 0};
   }
+  // In a mirrored image the operator's right shoulder is on the image right
+  const rad = Math.atan2(y, x) * (mirrored ? 1 : -1);
+  return {angle: 90 + rad * 180 / Math.PI, confidence: confidence};
 }
 
-export function getArmsAngle(keypoints) {
-  let shoulderLine = getShoulderLine(keypoints);
-  let upperArmLine = getUpperArmLine(keypoints);
-  return {
-    left: calculateAngle(rotateVector(shoulderLine, 90), upperArmLine.left),
-    right: calculateAngle(rotateVector(shoulderLine, 90), upperArmLine.right)
+/**
+ * Signed distance of a point below the line through origin along vector.
+ * "Below" is the side of the line towards the bottom of the image.
+ */
+function getHeightBelowLine(point, origin, vector) {
+  const length = norm(vector);
+  if (length === 0) {
+    return 0;
+  }
+  let normal = {x: -vector.y / length, y: vector.x / length};
+  if (normal.y < 0) {
+    normal = {x: -normal.x, y: -normal.y};
   }
+  return (point.x - origin.x) * normal.x + (point.y - origin.y) * normal.y;
 }
 
-function getWristLine(keypoints) {
-  const leftShoulder = keypoints[5].position;
-  const rightShoulder = keypoints[6].position;
-  const leftWrist = keypoints[9].position;
-  const rightWrist = keypoints[10].position;
-  let left_x = leftWrist.x - leftShoulder.x;
-  let left_y = leftWrist.y - leftShoulder.y;
-  let right_x = rightWrist.x - rightShoulder.x;
-  let right_y = rightWrist.y - rightShoulder.y;
-  return {
-    left: {
-      x: left_x,
-      y: left_y
-    },
-    right: {
-      x: right_x,
-      y: right_y
-    }
+// Signed limb angles run from minLimbAngle to minLimbAngle + 360 degrees, so
+// they only wrap around when a limb points up and across the body
+const minLimbAngle = -135;
+
+/**
+ * Signed angle of the limb from keypoint rootId to endId on one side of the
+ * body. otherRootId is the same joint on the other side, e.g. the other
+ * shoulder for an arm. The angle is 0 degrees pointing down, 90 pointing
+ * outwards, 180 pointing up and negative across the body. Down is the
+ * perpendicular of the line between the roots towards the bottom of the
+ * image and outwards is away from the other side, so both sides read the same
+ * whether or not the image is mirrored. null when two keypoints coincide.
+ */
+function getLimbAngle(keypoints, rootId, otherRootId, endId) {
+  const root = keypoints[rootId].position;
+  const otherRoot = keypoints[otherRootId].position;
+  const end = keypoints[endId].position;
+  const outward = {x: root.x - otherRoot.x, y: root.y - otherRoot.y};
+  const limb = {x: end.x - root.x, y: end.y - root.y};
+  if (norm(outward) === 0 || norm(limb) === 0) {
+    return null;
+  }
+  let down = rotateVector(outward, 90);
+  if (down.y < 0) {
+    down = {x: -down.x, y: -down.y};
   }
+  const dot = (a, b) => a.x * b.x + a.y * b.y;
+  let angle = Math.atan2(dot(limb, outward), dot(limb, down)) * 180 / Math.PI;
+  if (angle < minLimbAngle) {
+    angle += 360;
+  }
+  return angle;
+}
+
+/**
+ * Signed angle of each upper arm (shoulder -> elbow) as in getLimbAngle().
+ */
+export function getArmsAngle(keypoints) {
+  // 5: leftShoulder, 6: rightShoulder, 7: leftElbow, 8: rightElbow
+  return {
+    left: getLimbAngle(keypoints, 5, 6, 7),
+    right: getLimbAngle(keypoints, 6, 5, 8),
+  };
 }
 
+/**
+ * Signed angle of the line from each shoulder to its wrist as in
+ * getLimbAngle().
+ */
 export function getWristAngle(keypoints) {
-  let shoulderLine = getShoulderLine(keypoints);
-  let wristLine = getWristLine(keypoints);
+  // 9: leftWrist, 10: rightWrist
   return {
-    left: calculateAngle(rotateVector(shoulderLine, 90), wristLine.left),
-    right: calculateAngle(rotateVector(shoulderLine, 90), wristLine.right)
+    left: getLimbAngle(keypoints, 5, 6, 9),
+    right: getLimbAngle(keypoints, 6, 5, 10),
+  };
+}
+
+/**
+ * Elbow flexion of each arm from the shoulder, elbow and wrist keypoints
+ * (5-10): 0 degrees for a straight arm, growing as the forearm bends. An angle
+ * is valid when its three keypoints are above minConfidence.
+ */
+export function getElbowAngles(keypoints, minConfidence) {
+  // 5: leftShoulder, 7: leftElbow, 9: leftWrist
+  // 6: rightShoulder, 8: rightElbow, 10: rightWrist
+  return {
+    left: getFlexion(keypoints, 5, 7, 9, minConfidence),
+    right: getFlexion(keypoints, 6, 8, 10, minConfidence),
+  };
+}
+
+/**
+ * Knee flexion of each leg from the hip, knee and ankle keypoints (11-16),
+ * like getElbowAngles().
+ */
+export function getKneeAngles(keypoints, minConfidence) {
+  // 11: leftHip, 13: leftKnee, 15: leftAnkle
+  // 12: rightHip, 14: rightKnee, 16: rightAnkle
+  return {
+    left: getFlexion(keypoints, 11, 13, 15, minConfidence),
+    right: getFlexion(keypoints, 12, 14, 16, minConfidence),
+  };
+}
+
+/**
+ * Bend at the middle joint of three keypoints: 0 degrees when they are in a
+ * straight line.
+ */
+function getFlexion(keypoints, rootId, jointId, endId, minConfidence) {
+  const root = keypoints[rootId].position;
+  const joint = keypoints[jointId].position;
+  const end = keypoints[endId].position;
+  const inner = {x: root.x - joint.x, y: root.y - joint.y};
+  const outer = {x: end.x - joint.x, y: end.y - joint.y};
+  const valid = [rootId, jointId, endId].every((id) => {
+    return keypoints[id].score > minConfidence;
+  }) && norm(inner) > 0 && norm(outer) > 0;
+  if (!valid) {
+    return {angle: 0, valid: false};
   }
+  return {angle: 180 - calculateAngle(inner, outer), valid: true};
+}
+
+export function existsLegs(keypoints, minConfidence) {
+  // 11: leftHip, 12: rightHip
+  // 13: leftKnee, 14: rightKnee
+  const hips = (keypoints[11].score > minConfidence) &&
+      (keypoints[12].score > minConfidence);
+  return {
+    left: hips && keypoints[13].score > minConfidence,
+    right: hips && keypoints[14].score > minConfidence,
+  };
+}
+
+// Typical distance between the shoulder centre and the hip centre relative
+// to the shoulder width, and shoulder width relative to hip width, of a
+// person standing upright and facing the camera. The shoulder width of such a
+// person is the body unit of body_scale.js.
+export const torsoToShoulderRatio = 1.35;
+const shoulderToHipRatio = 1.4;
+
+// Typical thigh length relative to the distance between the shoulder centre
+// and the hip centre
+const thighToTorsoRatio = 0.8;
+
+/**
+ * Hip angles of each leg. abduction is the signed angle of the thigh
+ * (hip -> knee) as in getArmsAngle(), null when it cannot be measured.
+ * flexion estimates how far the thigh is raised towards the camera from how
+ * much shorter it looks than thighToTorsoRatio times the torso length. When
+ * the body scale (pixels per body unit) is given, the torso length is taken
+ * from it rather than from this frame, in which leaning shortens the torso.
+ */
+export function getHipAngles(keypoints, scale) {
+  const leftHip = keypoints[11].position;
+  const rightHip = keypoints[12].position;
+  const torso = scale ? scale * torsoToShoulderRatio : norm({
+    x: (keypoints[5].position.x + keypoints[6].position.x -
+        leftHip.x - rightHip.x) / 2,
+    y: (keypoints[5].position.y + keypoints[6].position.y -
+        leftHip.y - rightHip.y) / 2,
+  });
+
+  const getAngles = (hipId, otherHipId, kneeId) => {
+    const hip = keypoints[hipId].position;
+    const knee = keypoints[kneeId].position;
+    const thigh = {x: knee.x - hip.x, y: knee.y - hip.y};
+    const ratio = torso > 0 ? norm(thigh) / (torso * thighToTorsoRatio) : 1;
+    return {
+      abduction: getLimbAngle(keypoints, hipId, otherHipId, kneeId),
+      flexion: Math.acos(Math.min(1, ratio)) * 180 / Math.PI,
+    };
+  };
+  // 11: leftHip, 12: rightHip, 13: leftKnee, 14: rightKnee
+  return {
+    left: getAngles(11, 12, 13),
+    right: getAngles(12, 11, 14),
+  };
+}
+
+export function existsTorso(keypoints, minConfidence) {
+  // 5: leftShoulder, 6: rightShoulder, 11: leftHip, 12: rightHip
+  return [5, 6, 11, 12].every((id) => keypoints[id].score > minConfidence);
+}
+
+/**
+ * Torso posture from the shoulders and hips (5, 6, 11, 12).
+ * - lean: sideways lean of the hip -> shoulder line, 90 degrees upright and
+ *   growing as the operator leans towards their right. mirrored tells whether
+ *   the keypoints come from a mirrored image, as in getFaceRoll().
+ * - forwardLean: proxy of the lean towards or away from the camera, from how
+ *   much shorter the torso looks than torsoToShoulderRatio shoulder widths.
+ *   0 degrees upright.
+ * - twist: rotation of the shoulders against the hips around the spine, from
+ *   how much narrower the shoulders look than shoulderToHipRatio hip widths.
+ *   0 degrees facing the camera, unsigned.
+ * When the body scale (pixels per body unit) is given, it replaces the shoulder
+ * width of this frame as the reference of forwardLean and twist.
+ */
+export function getTorsoAngles(keypoints, mirrored = true, scale) {
+  const [leftShoulder, rightShoulder, leftHip, rightHip] =
+      [5, 6, 11, 12].map((id) => keypoints[id].position);
+  const shoulderWidth = norm({x: leftShoulder.x - rightShoulder.x,
+                              y: leftShoulder.y - rightShoulder.y});
+  const hipWidth =
+      norm({x: leftHip.x - rightHip.x, y: leftHip.y - rightHip.y});
+  const spine = {
+    x: (leftShoulder.x + rightShoulder.x - leftHip.x - rightHip.x) / 2,
+    y: (leftShoulder.y + rightShoulder.y - leftHip.y - rightHip.y) / 2,
+  };
+
+  // Angle of the spine from the image vertical, positive towards image right
+  const rad = Math.atan2(spine.x, -spine.y) * (mirrored ? 1 : -1);
+  const toDegree = (ratio) => Math.acos(Math.min(1, ratio)) * 180 / Math.PI;
+  const reference = scale || shoulderWidth;
+  const twistReference = scale || hipWidth * shoulderToHipRatio;
+  return {
+    lean: 90 + rad * 180 / Math.PI,
+    forwardLean: reference > 0 ?
+        toDegree(norm(spine) / (reference * torsoToShoulderRatio)) :
+        0,
+    twist: twistReference > 0 ? toDegree(shoulderWidth / twistReference) : 0,
+  };
 }
 
 function rotateVector(vector, degree) {
@@ -379,13 +665,28 @@ function rotateVector(vector, degree) {
   }
 }
 
+/**
+ * Unsigned angle between two vectors (0 to 180 degrees), 0 when either has no
+ * length.
+ */
 function calculateAngle(vectorA, vectorB) {
   const dot = vectorA.x * vectorB.x + vectorA.y * vectorB.y;
-  const cos = dot / (norm(vectorA) * norm(vectorB));
-  const rad = Math.acos(cos);
+  const cross = vectorA.x * vectorB.y - vectorA.y * vectorB.x;
+  const rad = Math.atan2(Math.abs(cross), dot);
   return rad * 180 / Math.PI;
 }
 
 function norm(vector) {
   return Math.sqrt(vector.x * vector.x + vector.y * vector.y);
-}
\ No newline at end of file
+}
+/**
+ * Median of a list of numbers, sorted numerically.
+ */
+export function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const half = (sorted.length / 2) | 0;
+  if (sorted.length % 2) {
+    return sorted[half];
+  }
+  return (sorted[half - 1] + sorted[half]) / 2;
+}
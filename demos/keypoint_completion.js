@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+// Keypoint each keypoint moves with: the eyes and ears with the nose, the
+// shoulders and hips with each other and the limbs with the joint above them
+const parents = {
+  1: 0, 2: 0, 3: 0, 4: 0,
+  5: 6, 6: 5, 7: 5, 8: 6, 9: 7, 10: 8,
+  11: 12, 12: 11, 13: 11, 14: 12, 15: 13, 16: 14,
+};
+
+// Time constant (s) with which the last velocity of a missing keypoint fades
+const velocityDecay = 0.1;
+// Observations further apart than this (s) give no velocity
+const maxVelocityInterval = 0.2;
+
+/**
+ * Fills in keypoints of one person that are briefly missing, below the
+ * confidence threshold or rejected, for at most settings.maxGap ms. A missing
+ * keypoint keeps its last offset from its parent keypoint, drifting with the
+ * last velocity of that offset as it fades; without its parent it moves on
+ * with its own last velocity. settings is read on every frame, so it can be
+ * bound to the GUI.
+ */
+export class KeypointCompletion {
+  constructor(settings) {
+    this.settings = settings;
+    this.reset();
+  }
+
+  reset() {
+    // Last observation of each keypoint: {position, offset, velocity,
+    // absoluteVelocity, t, score}. offset and velocity are relative to the
+    // parent, offset being null when the parent was not seen.
+    this.observations = [];
+  }
+
+  /**
+   * Returns a copy of keypoints where the missing ones that can be completed
+   * are flagged estimated. Their score falls from their last score towards
+   * minConfidence as the gap grows, so they still count as detected. now is
+   * in ms.
+   */
+  complete(keypoints, now, minConfidence) {
+    const t = now / 1000;
+    const maxGap = this.settings.maxGap / 1000;
+    const completed = [];
+    keypoints.forEach((keypoint, id) => {
+      const parent = completed[parents[id]] || keypoints[parents[id]];
+      const parentPosition =
+          parent && parent.score > minConfidence ? parent.position : null;
+      if (keypoint.score > minConfidence) {
+        this.observe(id, keypoint, parentPosition, t);
+        completed[id] = keypoint;
+        return;
+      }
+      const last = this.observations[id];
+      const gap = last ? t - last.t : Infinity;
+      if (gap > maxGap) {
+        completed[id] = keypoint;
+        return;
+      }
+      // Distance covered by a velocity fading from its last value
+      const drift = velocityDecay * (1 - Math.exp(-gap / velocityDecay));
+      const relative = last.offset && parentPosition;
+      const origin = relative ?
+          {x: parentPosition.x + last.offset.x,
+           y: parentPosition.y + last.offset.y} :
+          last.position;
+      const velocity = relative ? last.velocity : last.absoluteVelocity;
+      completed[id] = Object.assign({}, keypoint, {
+        position: {
+          x: origin.x + velocity.x * drift,
+          y: origin.y + velocity.y * drift,
+        },
+        score: minConfidence +
+            (last.score - minConfidence) * (1 - gap / maxGap),
+        estimated: true,
+      });
+    });
+    return completed;
+  }
+
+  observe(id, keypoint, parentPosition, t) {
+    const last = this.observations[id];
+    const {x, y} = keypoint.position;
+    const offset = parentPosition ?
+        {x: x - parentPosition.x, y: y - parentPosition.y} :
+        null;
+    const zero = {x: 0, y: 0};
+    let velocity = zero;
+    let absoluteVelocity = zero;
+    const dt = last ? t - last.t : 0;
+    if (dt > 0 && dt <= maxVelocityInterval) {
+      absoluteVelocity = {
+        x: (x - last.position.x) / dt,
+        y: (y - last.position.y) / dt,
+      };
+      velocity = absoluteVelocity;
+      if (offset && last.offset) {
+        velocity = {
+          x: (offset.x - last.offset.x) / dt,
+          y: (offset.y - last.offset.y) / dt,
+        };
+      }
+    }
+    this.observations[id] = {
+      position: keypoint.position,
+      offset: offset,
+      velocity: velocity,
+      absoluteVelocity: absoluteVelocity,
+      t: t,
+      score: keypoint.score,
+    };
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Keypoint ids of each joint group. Left and right share their filter
+ * parameters.
+ */
+export const filterGroups = {
+  face: [0, 1, 2, 3, 4],
+  shoulders: [5, 6],
+  elbows: [7, 8],
+  wrists: [9, 10],
+  hips: [11, 12],
+  knees: [13, 14],
+  ankles: [15, 16],
+};
+
+/**
+ * Default filter parameters of a joint group. Distances are in body units
+ * (see body_scale.js) and times are in seconds.
+ * - minCutoff (Hz) and beta: One-Euro filter. A lower minCutoff smooths more
+ *   when still, a higher beta lags less when moving.
+ * - processNoise and measurementNoise: constant-velocity Kalman filter. The
+ *   spectral density of the acceleration and the variance of a measurement.
+ */
+export const defaultFilterParams = {
+  minCutoff: 1.5,
+  beta: 0.7,
+  processNoise: 50,
+  measurementNoise: 0.0025,
+};
+
+// Cutoff frequency (Hz) of the speed estimate of the One-Euro filter
+const derivativeCutoff = 1;
+
+// A keypoint missing for longer than this (s) starts its filter afresh
+const maxGap = 0.5;
+
+function getAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * One-Euro filter of a scalar: a low-pass filter whose cutoff rises with the
+ * speed of the signal. params is read on every call, so it can be tuned live.
+ * The value is in pixels and scale, the pixels per body unit, converts it to
+ * the body units of params. Only the parameters are scaled, so the filter
+ * does not jump when the scale changes.
+ */
+export class OneEuroFilter {
+  constructor(params) {
+    this.params = params;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+  }
+
+  filter(value, t, scale = 1) {
+    if (this.value === null) {
+      this.value = value;
+      this.t = t;
+      return this.value;
+    }
+    const dt = t - this.t;
+    if (dt <= 0) {
+      return this.value;
+    }
+    const speed = (value - this.value) / dt;
+    this.speed += getAlpha(derivativeCutoff, dt) * (speed - this.speed);
+    const cutoff = this.params.minCutoff +
+        this.params.beta * Math.abs(this.speed) / scale;
+    this.value += getAlpha(cutoff, dt) * (value - this.value);
+    this.t = t;
+    return this.value;
+  }
+}
+
+/**
+ * Kalman filter of a scalar moving at a roughly constant velocity. params is
+ * read on every call and scaled to pixels with scale, like OneEuroFilter.
+ */
+export class KalmanFilter {
+  constructor(params) {
+    this.params = params;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+  }
+
+  filter(value, t, scale = 1) {
+    // Variances in pixels
+    const q = this.params.processNoise * scale * scale;
+    const r = this.params.measurementNoise * scale * scale;
+    if (this.value === null) {
+      this.value = value;
+      this.velocity = 0;
+      // Covariance of [value, velocity]
+      this.p = [[r, 0], [0, scale * scale]];
+      this.t = t;
+      return this.value;
+    }
+    const dt = t - this.t;
+    if (dt <= 0) {
+      return this.value;
+    }
+    const [[p00, p01], [p10, p11]] = this.p;
+
+    // Predict
+    this.value += this.velocity * dt;
+    const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+    const a01 = p01 + dt * p11 + q * dt * dt / 2;
+    const a10 = p10 + dt * p11 + q * dt * dt / 2;
+    const a11 = p11 + q * dt;
+
+    // Update with the measurement
+    const gain0 = a00 / (a00 + r);
+    const gain1 = a10 / (a00 + r);
+    const residual = value - this.value;
+    this.value += gain0 * residual;
+    this.velocity += gain1 * residual;
+    this.p = [
+      [(1 - gain0) * a00, (1 - gain0) * a01],
+      [a10 - gain1 * a00, a11 - gain1 * a01],
+    ];
+    this.t = t;
+    return this.value;
+  }
+}
+
+function createFilter(type, params) {
+  switch (type) {
+    case 'oneEuro':
+      return new OneEuroFilter(params);
+    case 'kalman':
+      return new KalmanFilter(params);
+    default:
+      throw new Error(`Unknown filter type: ${type}`);
+  }
+}
+
+/**
+ * Filters the keypoint positions of one person frame by frame. settings is
+ * {type, groups}, type being 'none', 'oneEuro' or 'kalman' and groups the
+ * parameters of each joint group of filterGroups. It is read on every frame,
+ * so it can be bound to the GUI.
+ */
+export class KeypointFilter {
+  constructor(settings) {
+    this.settings = settings;
+    this.reset();
+  }
+
+  reset() {
+    this.filters = [];
+    this.lastSeen = [];
+    this.type = this.settings.type;
+  }
+
+  /**
+   * Returns a copy of keypoints with filtered positions. now is in ms and
+   * scale is the body scale in pixels, which the filter parameters are
+   * scaled by. Keypoints at or below minConfidence
+   * pass through unfiltered and do not update their filter.
+   */
+  filter(keypoints, now, scale = 1, minConfidence = 0) {
+    if (this.settings.type !== this.type) {
+      this.reset();
+    }
+    if (this.type === 'none') {
+      return keypoints;
+    }
+    const t = now / 1000;
+    return keypoints.map((keypoint, id) => {
+      if (keypoint.score <= minConfidence) {
+        return keypoint;
+      }
+      if (!this.filters[id] || t - this.lastSeen[id] > maxGap) {
+        const params = this.getParams(id);
+        this.filters[id] = {
+          x: createFilter(this.type, params),
+          y: createFilter(this.type, params),
+        };
+      }
+      this.lastSeen[id] = t;
+      const {x, y} = this.filters[id];
+      return Object.assign({}, keypoint, {
+        position: {
+          x: x.filter(keypoint.position.x, t, scale),
+          y: y.filter(keypoint.position.y, t, scale),
+        },
+      });
+    });
+  }
+
+  getParams(id) {
+    const group = Object.keys(filterGroups).find((name) => {
+      return filterGroups[name].includes(id);
+    });
+    return this.settings.groups[group];
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {existsArms, existsEyeAndNose, existsLegs, existsNoseAndEyeAndEar,
+        existsTorso, existWritst, getArmsAngle, getElbowAngles,
+        getFacePitch, getFaceRoll, getFaceYaw, getHipAngles, getKneeAngles,
+        getTorsoAngles, getWristAngle} from './demo_util';
+import {getFrameScale, toBodyUnits} from './body_scale';
+
+// Typical limb lengths in body units, used until the limb lengths of the
+// operator have been calibrated
+const defaultLimbLengths = {
+  leftUpperArm: 0.85,
+  leftForearm: 0.7,
+  rightUpperArm: 0.85,
+  rightForearm: 0.7,
+};
+
+// Keypoint ids at both ends of each limb
+const limbs = {
+  leftUpperArm: [5, 7],
+  leftForearm: [7, 9],
+  rightUpperArm: [6, 8],
+  rightForearm: [8, 10],
+};
+
+// Elbow flexion (degrees) below which the forearm is taken to point the same
+// way as the upper arm
+const straightElbowAngle = 20;
+
+/**
+ * Builds a joint of a robot pose from its angle and the ids of the keypoints
+ * it was derived from. Unless the estimate reports its own confidence, the
+ * confidence is that of the least confident source keypoint. The joint is
+ * estimated when any source keypoint was completed, see KeypointCompletion.
+ */
+function createJoint(keypoints, angle, ids, confidence) {
+  const sources = ids.map((id) => keypoints[id]);
+  return {
+    angle: angle,
+    confidence: confidence === undefined ?
+        Math.min(...sources.map(({score}) => score)) :
+        confidence,
+    keypoints: sources.map(({part}) => part),
+    estimated: sources.some(({estimated}) => Boolean(estimated)),
+  };
+}
+
+/**
+ * Lengths of the limbs whose keypoints are above minPartConfidence, in body
+ * units. scale is the body scale, that of this frame when it is not given.
+ */
+export function getLimbLengths(keypoints, minPartConfidence, scale) {
+  const bodyScale = scale || getFrameScale(keypoints, minPartConfidence);
+  const lengths = {};
+  if (!bodyScale) {
+    return lengths;
+  }
+  Object.keys(limbs).forEach((name) => {
+    const [from, to] = limbs[name].map((id) => keypoints[id]);
+    if (from.score > minPartConfidence && to.score > minPartConfidence) {
+      lengths[name] = Math.hypot(from.position.x - to.position.x,
+                                 from.position.y - to.position.y) /
+          bodyScale;
+    }
+  });
+  return lengths;
+}
+
+/**
+ * How far an arm points towards the camera, from how much shorter the upper
+ * arm looks than its expected length: 0 degrees when the arm is parallel to
+ * the image and 90 when it points straight at the camera. The forearm is
+ * taken into account when the elbow is straight. Foreshortening cannot tell
+ * towards from away from the camera, so arms are assumed to reach forwards.
+ * null without an upper arm.
+ */
+function getShoulderPitch(side, observed, expected, elbow) {
+  const getPitch = (limb) => {
+    const ratio = Math.min(1, observed[side + limb] / expected[side + limb]);
+    return Math.acos(ratio) * 180 / Math.PI;
+  };
+  if (observed[side + 'UpperArm'] === undefined) {
+    return null;
+  }
+  if (observed[side + 'Forearm'] !== undefined && elbow.valid &&
+      elbow.angle < straightElbowAngle) {
+    return (getPitch('UpperArm') + getPitch('Forearm')) / 2;
+  }
+  return getPitch('UpperArm');
+}
+
+/**
+ * The more raised of the upper arm and the shoulder -> wrist angles, skipping
+ * the ones that could not be measured.
+ */
+function getRaise(armAngle, wristAngle) {
+  const angles = [armAngle, wristAngle].filter((angle) => angle !== null);
+  return angles.length > 0 ? Math.max(...angles) : null;
+}
+
+/**
+ * Turns the keypoints of a person into a robot pose: an object keyed by
+ * signal name whose joints are {angle, confidence, keypoints, estimated},
+ * keypoints being the names of the source keypoints. Joints whose keypoints
+ * are below minPartConfidence are left out. mirrored tells whether the
+ * keypoints come from a mirrored image.
+ *
+ * The keypoints are first expressed in body units with scale, the body scale
+ * of the person over time (see BodyScale), or that of this frame when it is
+ * not given. Without shoulders they stay in pixels. limbLengths are the
+ * calibrated limb lengths of the operator, see getLimbLengths().
+ */
+export function getRobotPose(
+    keypoints, minPartConfidence, mirrored = true, scale, limbLengths = {}) {
+  const joints = {};
+  const bodyScale = scale || getFrameScale(keypoints, minPartConfidence);
+  // Lengths in body units are measured against a scale of 1
+  let unit;
+  if (bodyScale) {
+    keypoints = toBodyUnits(keypoints, bodyScale);
+    unit = 1;
+  }
+  // 腕(肘と手首のうち大きい方の角度)．手首が見えなければ肘だけで求める
+  const arms = existsArms(keypoints, minPartConfidence);
+  if (arms.left || arms.right) {
+    const angles = getArmsAngle(keypoints);
+    const wristAngles = getWristAngle(keypoints);
+    const wrists = existWritst(keypoints, minPartConfidence);
+    const left =
+        getRaise(angles.left, wrists.left ? wristAngles.left : null);
+    const right =
+        getRaise(angles.right, wrists.right ? wristAngles.right : null);
+    if (arms.left && left !== null) {
+      joints.leftArm = createJoint(
+          keypoints, left, wrists.left ? [5, 6, 7, 9] : [5, 6, 7]);
+    }
+    if (arms.right && right !== null) {
+      joints.rightArm = createJoint(
+          keypoints, right, wrists.right ? [5, 6, 8, 10] : [5, 6, 8]);
+    }
+  }
+  // 肘
+  const elbows = getElbowAngles(keypoints, minPartConfidence);
+  if (elbows.left.valid) {
+    joints.leftElbow = createJoint(keypoints, elbows.left.angle, [5, 7, 9]);
+  }
+  if (elbows.right.valid) {
+    joints.rightElbow = createJoint(keypoints, elbows.right.angle, [6, 8, 10]);
+  }
+  // 肩の前後(腕の見かけの短さから)
+  if (unit) {
+    const observed = getLimbLengths(keypoints, minPartConfidence, unit);
+    const expected = Object.assign({}, defaultLimbLengths, limbLengths);
+    const leftPitch =
+        getShoulderPitch('left', observed, expected, elbows.left);
+    if (leftPitch !== null) {
+      joints.leftShoulderPitch = createJoint(
+          keypoints, leftPitch, elbows.left.valid ? [5, 6, 7, 9] : [5, 6, 7]);
+    }
+    const rightPitch =
+        getShoulderPitch('right', observed, expected, elbows.right);
+    if (rightPitch !== null) {
+      joints.rightShoulderPitch = createJoint(
+          keypoints, rightPitch,
+          elbows.right.valid ? [5, 6, 8, 10] : [5, 6, 8]);
+    }
+  }
+  // 脚
+  const legs = existsLegs(keypoints, minPartConfidence);
+  if (legs.left || legs.right) {
+    const hips = getHipAngles(keypoints, unit);
+    if (legs.left && hips.left.abduction !== null) {
+      joints.leftHipAbduction =
+          createJoint(keypoints, hips.left.abduction, [11, 12, 13]);
+    }
+    if (legs.left) {
+      joints.leftHipFlexion =
+          createJoint(keypoints, hips.left.flexion, [5, 6, 11, 12, 13]);
+    }
+    if (legs.right && hips.right.abduction !== null) {
+      joints.rightHipAbduction =
+          createJoint(keypoints, hips.right.abduction, [11, 12, 14]);
+    }
+    if (legs.right) {
+      joints.rightHipFlexion =
+          createJoint(keypoints, hips.right.flexion, [5, 6, 11, 12, 14]);
+    }
+  }
+  const knees = getKneeAngles(keypoints, minPartConfidence);
+  if (knees.left.valid) {
+    joints.leftKnee = createJoint(keypoints, knees.left.angle, [11, 13, 15]);
+  }
+  if (knees.right.valid) {
+    joints.rightKnee = createJoint(keypoints, knees.right.angle, [12, 14, 16]);
+  }
+  // 胴体
+  if (existsTorso(keypoints, minPartConfidence)) {
+    const torso = getTorsoAngles(keypoints, mirrored, unit);
+    joints.torsoLean = createJoint(keypoints, torso.lean, [5, 6, 11, 12]);
+    joints.torsoForwardLean =
+        createJoint(keypoints, torso.forwardLean, [5, 6, 11, 12]);
+    joints.torsoTwist = createJoint(keypoints, torso.twist, [5, 6, 11, 12]);
+  }
+  // 顔
+  if (existsEyeAndNose(keypoints, minPartConfidence)) {
+    const ears = existsNoseAndEyeAndEar(keypoints, minPartConfidence);
+    const earIds = [3, 4].filter((id, i) => [ears.left, ears.right][i]);
+    // yaw軸
+    const yaw = getFaceYaw(keypoints, ears);
+    if (yaw.confidence > 0) {
+      joints.faceYaw = createJoint(
+          keypoints, yaw.angle, [0, 1, 2, ...earIds], yaw.confidence);
+    }
+    // pitch軸(耳が見えているときのみ)
+    const pitch = getFacePitch(keypoints, ears);
+    if (pitch.confidence > 0) {
+      joints.facePitch = createJoint(
+          keypoints, pitch.angle, [0, 1, 2, ...earIds], pitch.confidence);
+    }
+    // roll軸
+    const roll = getFaceRoll(keypoints, ears, mirrored);
+    if (roll.confidence > 0) {
+      const rollIds = ears.left && ears.right ? [1, 2, 3, 4] : [1, 2];
+      joints.faceRoll =
+          createJoint(keypoints, roll.angle, rollIds, roll.confidence);
+    }
+  }
+  return joints;
+}
+
+/**
+ * The angles of a robot pose keyed by signal name, the form the robots and
+ * the calibration work with.
+ */
+export function toSignals(robotPose) {
+  const signals = {};
+  Object.keys(robotPose).forEach((name) => {
+    signals[name] = robotPose[name].angle;
+  });
+  return signals;
+}
+
+/**
+ * The confidence of each joint of a robot pose, keyed by signal name like
+ * toSignals().
+ */
+export function toConfidences(robotPose) {
+  const confidences = {};
+  Object.keys(robotPose).forEach((name) => {
+    confidences[name] = robotPose[name].confidence;
+  });
+  return confidences;
+}
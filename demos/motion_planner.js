@@ -0,0 +1,146 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+// Distance (degrees) from the target at which a joint counts as arrived
+const settleDistance = 1e-6;
+
+/**
+ * Moves one joint towards its target with limited speed (deg/s) and
+ * acceleration (deg/s^2). The target can be changed at any time.
+ */
+export class JointTrajectory {
+  constructor(position, maxSpeed = 180, maxAcceleration = 720) {
+    this.position = position;
+    this.target = position;
+    this.velocity = 0;
+    this.maxSpeed = maxSpeed;
+    this.maxAcceleration = maxAcceleration;
+  }
+
+  setTarget(target) {
+    this.target = target;
+  }
+
+  /**
+   * Restarts from a known position at rest, keeping the target.
+   */
+  reset(position) {
+    this.position = position;
+    this.velocity = 0;
+  }
+
+  get moving() {
+    return this.velocity !== 0 || this.position !== this.target;
+  }
+
+  /**
+   * Advances the trajectory by dt seconds and returns the new position.
+   */
+  step(dt) {
+    const distance = this.target - this.position;
+    const a = this.maxAcceleration;
+    // Fastest speed from which the joint can still stop at the target when
+    // the speed only changes once per step
+    const stoppingSpeed =
+        a * (Math.sqrt(dt * dt + 2 * Math.abs(distance) / a) - dt);
+    const desired =
+        Math.sign(distance) * Math.min(this.maxSpeed, stoppingSpeed);
+    const maxChange = a * dt;
+    this.velocity +=
+        Math.max(-maxChange, Math.min(maxChange, desired - this.velocity));
+
+    const next = this.position + this.velocity * dt;
+    // Snap to the target instead of oscillating around it, or creeping
+    // towards it when rounding leaves it just out of reach
+    if (((this.target - next) * distance <= 0 ||
+         Math.abs(this.target - next) < settleDistance) &&
+        Math.abs(this.velocity) <= maxChange) {
+      this.position = this.target;
+      this.velocity = 0;
+    } else {
+      this.position = next;
+    }
+    return this.position;
+  }
+}
+
+/**
+ * Interpolates the commands of every joint at a fixed tick rate (Hz) and
+ * writes them to a servo driver.
+ */
+export class MotionPlanner {
+  constructor(driver, joints, tickRate = 50) {
+    this.driver = driver;
+    this.tickRate = tickRate;
+    this.trajectories = {};
+    joints.forEach((joint) => {
+      this.trajectories[joint.name] = new JointTrajectory(
+          joint.neutral, joint.maxSpeed, joint.maxAcceleration);
+    });
+  }
+
+  setTarget(name, angle) {
+    this.trajectories[name].setTarget(angle);
+  }
+
+  /**
+   * Restarts every joint at rest from the given angles, keyed by joint name.
+   * Joints keep moving towards their targets from there.
+   */
+  reset(angles) {
+    Object.keys(angles).forEach((name) => {
+      this.trajectories[name].reset(angles[name]);
+    });
+  }
+
+  /**
+   * Stops every joint where it is.
+   */
+  hold() {
+    Object.keys(this.trajectories).forEach((name) => {
+      const trajectory = this.trajectories[name];
+      trajectory.reset(trajectory.position);
+      trajectory.setTarget(trajectory.position);
+    });
+  }
+
+  getTarget(name) {
+    return this.trajectories[name].target;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const dt = 1 / this.tickRate;
+    this.timer = setInterval(() => this.tick(dt), 1000 * dt);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick(dt) {
+    Object.keys(this.trajectories).forEach((name) => {
+      const trajectory = this.trajectories[name];
+      if (trajectory.moving) {
+        this.driver.write(name, trajectory.step(dt));
+      }
+    });
+  }
+}
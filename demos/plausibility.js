@@ -0,0 +1,162 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+// Limbs whose length is checked, as [root, end] keypoint ids. The end is
+// rejected when the limb is too long.
+const limbs = [
+  [5, 7], [7, 9], [6, 8], [8, 10],
+  [11, 13], [13, 15], [12, 14], [14, 16],
+];
+
+// Longest plausible limb in body units, whatever the history
+const maxLimbLength = 1.6;
+// Longest plausible limb relative to the longest of its recent lengths. Limbs
+// may look shorter than usual as they point towards the camera, never longer.
+const maxLimbRatio = 1.4;
+// Lengths kept per limb, and needed before the history is trusted
+const historySize = 30;
+const minHistorySize = 5;
+// Lengths rejected against the history in this many frames in a row, within
+// maxLimbRatio of each other, replace the history. After a long reach towards
+// the camera the history only holds short lengths and would otherwise reject
+// the lowered limb for good.
+const minConsistentFrames = 5;
+
+// Left and right keypoints (eyes, ears, hips) that must be in the same order
+// as the shoulders
+const sidePairs = [[1, 2], [3, 4], [11, 12]];
+
+// Fastest plausible movement of a keypoint in body units per second
+const maxSpeed = 20;
+// A keypoint last accepted longer ago than this (s) is not checked for speed
+const maxGap = 0.5;
+
+function getDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Rejects keypoints of one person that cannot be right:
+ * - limbs longer than maxLimbLength body units or than maxLimbRatio times
+ *   their longest recent length, unless they stay that long for
+ *   minConsistentFrames frames
+ * - eyes, ears or hips in the opposite left/right order to the shoulders
+ * - keypoints moving faster than maxSpeed body units per second
+ */
+export class PlausibilityCheck {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    // Recent lengths of each limb in body units
+    this.limbLengths = limbs.map(() => []);
+    // Lengths of each limb rejected against its history in a row
+    this.rejectedLengths = limbs.map(() => []);
+    // Last accepted position and time (s) of each keypoint
+    this.lastAccepted = [];
+  }
+
+  /**
+   * Returns a copy of keypoints where the rejected ones have a score of 0 and
+   * are flagged rejected, so that no angle is computed from them. now is in
+   * ms and scale is the body scale in pixels. Keypoints at or below
+   * minConfidence are not checked.
+   */
+  validate(keypoints, now, scale, minConfidence) {
+    const t = now / 1000;
+    const rejected = keypoints.map(() => false);
+    const accepted = (id) => {
+      return keypoints[id].score > minConfidence && !rejected[id];
+    };
+    const position = (id) => keypoints[id].position;
+
+    // Speed
+    keypoints.forEach((keypoint, id) => {
+      const last = this.lastAccepted[id];
+      if (accepted(id) && last && t > last.t && t - last.t <= maxGap) {
+        const distance = getDistance(keypoint.position, last.position) / scale;
+        rejected[id] = distance / (t - last.t) > maxSpeed;
+      }
+    });
+
+    // Left/right order
+    if (accepted(5) && accepted(6)) {
+      const side = {
+        x: position(5).x - position(6).x,
+        y: position(5).y - position(6).y,
+      };
+      sidePairs.forEach(([left, right]) => {
+        if (!accepted(left) || !accepted(right)) {
+          return;
+        }
+        const pair = {
+          x: position(left).x - position(right).x,
+          y: position(left).y - position(right).y,
+        };
+        if (pair.x * side.x + pair.y * side.y < 0) {
+          rejected[left] = true;
+          rejected[right] = true;
+        }
+      });
+    }
+
+    // Limb lengths, from the trunk outwards so that a rejected elbow skips
+    // its forearm
+    limbs.forEach(([root, end], i) => {
+      if (!accepted(root) || !accepted(end)) {
+        return;
+      }
+      const length = getDistance(position(root), position(end)) / scale;
+      if (length > maxLimbLength) {
+        rejected[end] = true;
+        return;
+      }
+      const history = this.limbLengths[i];
+      const pending = this.rejectedLengths[i];
+      if (history.length >= minHistorySize &&
+          length > Math.max(...history) * maxLimbRatio) {
+        pending.push(length);
+        if (pending.length > minConsistentFrames) {
+          pending.shift();
+        }
+        if (pending.length < minConsistentFrames ||
+            Math.max(...pending) > Math.min(...pending) * maxLimbRatio) {
+          rejected[end] = true;
+          return;
+        }
+        history.splice(0, history.length, ...pending);
+      } else {
+        history.push(length);
+      }
+      pending.splice(0);
+      if (history.length > historySize) {
+        history.shift();
+      }
+    });
+
+    return keypoints.map((keypoint, id) => {
+      if (rejected[id]) {
+        return Object.assign({}, keypoint, {score: 0, rejected: true});
+      }
+      if (keypoint.score > minConfidence) {
+        this.lastAccepted[id] = {position: keypoint.position, t: t};
+      }
+      return keypoint;
+    });
+  }
+}
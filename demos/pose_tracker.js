@@ -0,0 +1,171 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getFrameScale} from './body_scale';
+
+// Spread of the keypoint similarity in body units: a keypoint that moved this
+// far scores about 0.6
+const keypointSpread = 0.5;
+
+// Rough square root of the bounding box area of a person in body units, for
+// people whose shoulders are not detected
+const boxToBodyScale = 4;
+
+/**
+ * Bounding box of the keypoints above minConfidence, or of all keypoints when
+ * none is.
+ */
+function getBox(keypoints, minConfidence) {
+  let points = keypoints.filter(({score}) => score > minConfidence);
+  if (points.length === 0) {
+    points = keypoints;
+  }
+  const xs = points.map(({position}) => position.x);
+  const ys = points.map(({position}) => position.y);
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+function getIoU(a, b) {
+  const width = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const height = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const area = (box) => (box.maxX - box.minX) * (box.maxY - box.minY);
+  const intersection = width * height;
+  return intersection / (area(a) + area(b) - intersection);
+}
+
+/**
+ * Object keypoint similarity of the keypoints confident in both poses, each
+ * scoring exp(-d^2 / 2s^2) for a distance d and s keypointSpread body units.
+ */
+function getKeypointSimilarity(a, b, scale, minConfidence) {
+  const spread = keypointSpread * scale;
+  let sum = 0;
+  let count = 0;
+  a.forEach((keypoint, id) => {
+    const other = b[id];
+    if (keypoint.score > minConfidence && other.score > minConfidence) {
+      const dx = keypoint.position.x - other.position.x;
+      const dy = keypoint.position.y - other.position.y;
+      sum += Math.exp(-(dx * dx + dy * dy) / (2 * spread * spread));
+      count++;
+    }
+  });
+  return count > 0 ? sum / count : 0;
+}
+
+/**
+ * Follows the people in frame over time and gives each a stable track id.
+ *
+ * Each frame the poses are matched to the existing tracks, most similar pairs
+ * first, by the mean of their keypoint similarity and bounding box overlap.
+ * A pose matching no track starts a new one, which is confirmed once it has
+ * been seen in minHits frames in a row. A track missing for more than
+ * maxMissedFrames frames ends; an unconfirmed track ends as soon as it is
+ * missed.
+ */
+export class PoseTracker {
+  constructor(
+      {maxMissedFrames = 15, minHits = 3, minSimilarity = 0.2} = {}) {
+    this.maxMissedFrames = maxMissedFrames;
+    this.minHits = minHits;
+    this.minSimilarity = minSimilarity;
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Matches the poses of a frame to the tracks. Returns the confirmed tracks,
+   * {id, pose, box, scale, hits, missedFrames}, pose being undefined for the
+   * tracks missed in this frame.
+   */
+  update(poses, minConfidence = 0.5) {
+    const detections = poses.map((pose) => {
+      const box = getBox(pose.keypoints, minConfidence);
+      const scale = getFrameScale(pose.keypoints, minConfidence) ||
+          Math.sqrt((box.maxX - box.minX) * (box.maxY - box.minY)) /
+              boxToBodyScale;
+      return {pose: pose, box: box, scale: scale};
+    });
+
+    // Match the most similar pairs first
+    const pairs = [];
+    this.tracks.forEach((track, t) => {
+      detections.forEach((detection, d) => {
+        const similarity = (getKeypointSimilarity(
+                                track.keypoints, detection.pose.keypoints,
+                                track.scale || 1, minConfidence) +
+                            getIoU(track.box, detection.box)) /
+            2;
+        if (similarity >= this.minSimilarity) {
+          pairs.push({track: t, detection: d, similarity: similarity});
+        }
+      });
+    });
+    pairs.sort((a, b) => b.similarity - a.similarity);
+    const matchedTracks = new Array(this.tracks.length).fill(false);
+    const matchedDetections = new Array(detections.length).fill(false);
+    pairs.forEach(({track, detection}) => {
+      if (!matchedTracks[track] && !matchedDetections[detection]) {
+        matchedTracks[track] = true;
+        matchedDetections[detection] = true;
+        this.updateTrack(this.tracks[track], detections[detection]);
+      }
+    });
+
+    this.tracks.forEach((track, t) => {
+      if (!matchedTracks[t]) {
+        track.pose = undefined;
+        track.missedFrames++;
+      }
+    });
+    this.tracks = this.tracks.filter((track) => {
+      return track.missedFrames === 0 ||
+          (this.isConfirmed(track) &&
+           track.missedFrames <= this.maxMissedFrames);
+    });
+
+    detections.forEach((detection, d) => {
+      if (!matchedDetections[d]) {
+        const track = {id: this.nextId++, hits: 0};
+        this.updateTrack(track, detection);
+        this.tracks.push(track);
+      }
+    });
+
+    return this.tracks.filter((track) => this.isConfirmed(track));
+  }
+
+  updateTrack(track, {pose, box, scale}) {
+    track.pose = pose;
+    track.keypoints = pose.keypoints;
+    track.box = box;
+    track.scale = scale;
+    track.hits++;
+    track.missedFrames = 0;
+  }
+
+  isConfirmed(track) {
+    return track.hits >= this.minHits;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {downloadFile} from './demo_util';
+import {ServoDriver} from './servo_driver';
+
+/**
+ * Records timestamped events of a session. Events are
+ * {t, type: 'pose', robot, pose}, {t, type: 'robotPose', robot, joints} and
+ * {t, type: 'command', robot, name, angle}, where t is in ms since the
+ * recording started, robot is the index of the robot concerned and joints is
+ * a robot pose as returned by getRobotPose().
+ */
+export class Recorder {
+  constructor() {
+    this.recording = false;
+    this.events = [];
+  }
+
+  start(now = performance.now()) {
+    this.events = [];
+    this.startTime = now;
+    this.startedAt = new Date().toISOString();
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  add(event, now = performance.now()) {
+    if (this.recording) {
+      this.events.push(Object.assign({t: now - this.startTime}, event));
+    }
+  }
+
+  addPose(pose, robot = 0, now) {
+    this.add({
+      type: 'pose',
+      robot: robot,
+      pose: {
+        score: pose.score,
+        keypoints: pose.keypoints.map(({part, score, position}) => {
+          const {x, y} = position;
+          return {part: part, score: score, position: {x: x, y: y}};
+        }),
+      },
+    }, now);
+  }
+
+  addRobotPose(robotPose, robot = 0, now) {
+    const joints = {};
+    Object.keys(robotPose).forEach((name) => {
+      joints[name] = Object.assign({}, robotPose[name]);
+    });
+    this.add({type: 'robotPose', robot: robot, joints: joints}, now);
+  }
+
+  addCommand(name, angle, robot = 0, now) {
+    this.add({type: 'command', robot: robot, name: name, angle: angle}, now);
+  }
+
+  toJSON() {
+    return {version: 1, startedAt: this.startedAt, events: this.events};
+  }
+
+  download(filename = 'recording.json') {
+    downloadFile(JSON.stringify(this.toJSON()), filename, 'application/json');
+  }
+}
+
+/**
+ * Records every command written to it. Meant to be put next to the real
+ * driver in a TeeServoDriver.
+ */
+export class RecorderServoDriver extends ServoDriver {
+  constructor(recorder, robot = 0) {
+    super();
+    this.recorder = recorder;
+    this.robot = robot;
+  }
+
+  write(name, angle) {
+    super.write(name, angle);
+    this.recorder.addCommand(name, angle, this.robot);
+  }
+}
+
+/**
+ * Plays back the events of a recording in real time. poll() returns the
+ * events that became due since the previous call.
+ */
+export class Replayer {
+  constructor(recording) {
+    if (!recording || !Array.isArray(recording.events)) {
+      throw new Error('Not a recording: "events" array is missing');
+    }
+    this.events = recording.events;
+    this.index = this.events.length;
+  }
+
+  get playing() {
+    return this.index < this.events.length;
+  }
+
+  start(now = performance.now()) {
+    this.startTime = now;
+    this.index = 0;
+  }
+
+  stop() {
+    this.index = this.events.length;
+  }
+
+  poll(now = performance.now()) {
+    const elapsed = now - this.startTime;
+    const due = [];
+    while (this.playing && this.events[this.index].t <= elapsed) {
+      due.push(this.events[this.index++]);
+    }
+    return due;
+  }
+}
+
+/**
+ * Asks the user for a recording file and resolves with its parsed content.
+ */
+export function openRecording() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = () => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          resolve(JSON.parse(reader.result));
+        } catch (e) {
+          reject(e);
+        }
+      };
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(input.files[0]);
+    };
+    input.click();
+  });
+}
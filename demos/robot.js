@@ -0,0 +1,125 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {aggregate, defaultAggregation} from './angle_aggregation';
+import {MotionPlanner} from './motion_planner';
+import {toJointAngle} from './robot_config';
+import {SafetyWatchdog} from './safety';
+import {TeeServoDriver} from './servo_driver';
+
+// Targets closer than this (degrees) to the current one are not updated
+const deadband = 5;
+
+/**
+ * One imitating robot: collects the servo angles derived from the pose of its
+ * operator and aggregates them into planner targets every config.interval ms,
+ * as set by aggregation (see angle_aggregation.js).
+ *
+ * servoDriver drives the actual servos, extraDrivers (a simulator, a
+ * recorder...) receive the same commands.
+ */
+export class Robot {
+  constructor(config, servoDriver, extraDrivers = [], watchdogTimeout = 2000) {
+    this.config = config;
+    this.servoDriver = servoDriver;
+    this.driver = new TeeServoDriver([servoDriver].concat(extraDrivers));
+    this.planner =
+        new MotionPlanner(this.driver, config.joints, config.tickRate);
+    this.watchdog =
+        new SafetyWatchdog(this.planner, config.joints, watchdogTimeout);
+    // Servo angle samples {angle, confidence, t} collected since the last
+    // update, keyed by joint name
+    this.jointSamples = {};
+    this.aggregation = Object.assign({}, defaultAggregation);
+    config.joints.forEach((joint) => this.jointSamples[joint.name] = []);
+    // Called with the joint name and angle whenever a target changes
+    this.ontarget = () => {};
+
+    // The servos are back at their neutral angles after every (re)connection,
+    // from where the planner eases them to the latest targets again. An
+    // emergency stopped robot stays there until it is rearmed.
+    this.onstatechange = () => {};
+    servoDriver.onstatechange = (state) => {
+      if (state === 'connected') {
+        this.planner.reset(servoDriver.angles);
+        if (!this.watchdog.armed) {
+          this.planner.hold();
+        }
+      }
+      this.onstatechange(state);
+    };
+  }
+
+  async start() {
+    await this.driver.attach(this.config.joints);
+    this.planner.start();
+    this.watchdog.start();
+    this.timer = setInterval(() => this.update(), this.config.interval);
+  }
+
+  /**
+   * Collects the servo angles for the pose-derived signals of one frame,
+   * confidences being the confidence of each signal (1 when missing) and now
+   * the time of the frame in ms. Signals are ignored while the robot is
+   * emergency stopped.
+   */
+  pushSignals(signals, confidences = {}, now = performance.now()) {
+    if (!this.watchdog.armed) {
+      return;
+    }
+    this.config.joints.forEach((joint) => {
+      if (signals[joint.signal] !== undefined) {
+        const confidence = confidences[joint.signal];
+        this.jointSamples[joint.name].push({
+          angle: toJointAngle(joint, signals[joint.signal]),
+          confidence: confidence !== undefined ? confidence : 1,
+          t: now,
+        });
+      }
+    });
+  }
+
+  update(now = performance.now()) {
+    this.config.joints.forEach(({name}) => {
+      const samples = this.jointSamples[name];
+      if (samples.length > 0) {
+        const angle = aggregate(samples, now, this.aggregation);
+        // Samples without any confidence keep the current target
+        if (angle !== null &&
+            Math.abs(this.planner.getTarget(name) - angle) > deadband) {
+          this.planner.setTarget(name, angle);
+          this.ontarget(name, angle);
+        }
+        samples.splice(0);
+      }
+    });
+  }
+
+  /**
+   * Freezes ('freeze') or parks ('park') every servo and ignores pose input
+   * until rearm() is called.
+   */
+  emergencyStop(mode) {
+    Object.keys(this.jointSamples).forEach((name) => {
+      this.jointSamples[name].splice(0);
+    });
+    this.watchdog.emergencyStop(mode);
+  }
+
+  rearm() {
+    this.watchdog.rearm();
+  }
+}
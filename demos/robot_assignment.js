@@ -0,0 +1,154 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {areBothWristsRaised} from './demo_util';
+
+/**
+ * How a robot picks the person it follows:
+ * - largest: a free robot takes the largest person, largest by body scale
+ * - centre: a free robot takes the person closest to the frame centre
+ * - clicked: the person clicked on the canvas takes control
+ * - gesture: a person holding both wrists above their head takes control
+ */
+export const selectionPolicies = ['largest', 'centre', 'clicked', 'gesture'];
+
+function getCentre({minX, minY, maxX, maxY}) {
+  return {x: (minX + maxX) / 2, y: (minY + maxY) / 2};
+}
+
+/**
+ * Assigns the tracked people in frame to robots, one person per robot. A robot
+ * keeps following the same track, see PoseTracker, for as long as the track
+ * lasts or until someone takes control from its person, as the policy allows.
+ * Control is handed to handoverRobot, the first robot by default. The
+ * gesture has to be held for gestureFrames frames.
+ */
+export class RobotAssignment {
+  constructor(
+      robotCount,
+      {policy = 'largest', frameWidth = 0, frameHeight = 0,
+       gestureFrames = 10} = {}) {
+    this.policy = policy;
+    this.frameWidth = frameWidth;
+    this.frameHeight = frameHeight;
+    this.gestureFrames = gestureFrames;
+    this.handoverRobot = 0;
+    // Track id followed by each robot, null if it follows no one
+    this.trackIds = new Array(robotCount).fill(null);
+    // Frames each track has been holding the gesture for, by track id
+    this.raisedFrames = {};
+    this.pendingClick = null;
+  }
+
+  /**
+   * Hands control to the person at a point of the frame, with the clicked
+   * policy. Takes effect on the next assign().
+   */
+  click(x, y) {
+    this.pendingClick = {x: x, y: y};
+  }
+
+  /**
+   * Returns the track followed by each robot, undefined for robots without a
+   * track. tracks are the confirmed tracks returned by PoseTracker.update().
+   * The pose of a track is undefined while its person is missed.
+   */
+  assign(tracks, minConfidence = 0.5) {
+    const ids = tracks.map(({id}) => id);
+    // Release robots whose track has ended
+    this.trackIds = this.trackIds.map((id) => ids.includes(id) ? id : null);
+    const visible = tracks.filter((track) => track.pose);
+
+    const claimant = this.findClaimant(visible, minConfidence);
+    if (claimant) {
+      this.trackIds = this.trackIds.map((id, robot) => {
+        if (robot === this.handoverRobot) {
+          return claimant.id;
+        }
+        return id === claimant.id ? null : id;
+      });
+    }
+
+    // With the largest and centre policies, free robots take the remaining
+    // people in frame
+    if (this.policy === 'largest' || this.policy === 'centre') {
+      const remaining = visible.filter((track) => {
+        return !this.trackIds.includes(track.id);
+      });
+      remaining.sort((a, b) => this.getRank(a) - this.getRank(b));
+      this.trackIds = this.trackIds.map((id) => {
+        if (id === null && remaining.length > 0) {
+          return remaining.shift().id;
+        }
+        return id;
+      });
+    }
+
+    return this.trackIds.map((id) => tracks.find((track) => track.id === id));
+  }
+
+  /**
+   * Rank of a track for a free robot, lower first
+   */
+  getRank(track) {
+    if (this.policy === 'centre') {
+      const {x, y} = getCentre(track.box);
+      return Math.hypot(x - this.frameWidth / 2, y - this.frameHeight / 2);
+    }
+    return -track.scale;
+  }
+
+  /**
+   * The track taking control in this frame, if any: the one clicked on with
+   * the clicked policy, or the one that has just held the gesture long
+   * enough with the gesture policy.
+   */
+  findClaimant(visible, minConfidence) {
+    if (this.policy === 'clicked') {
+      const click = this.pendingClick;
+      this.pendingClick = null;
+      if (!click) {
+        return null;
+      }
+      // The person whose box contains the click, the closest centre first
+      const hits = visible.filter(({box}) => {
+        return box.minX <= click.x && click.x <= box.maxX &&
+            box.minY <= click.y && click.y <= box.maxY;
+      });
+      const distance = (track) => {
+        const {x, y} = getCentre(track.box);
+        return Math.hypot(x - click.x, y - click.y);
+      };
+      hits.sort((a, b) => distance(a) - distance(b));
+      return hits[0] || null;
+    }
+    if (this.policy === 'gesture') {
+      const raisedFrames = {};
+      let claimant = null;
+      visible.forEach((track) => {
+        if (areBothWristsRaised(track.pose.keypoints, minConfidence)) {
+          raisedFrames[track.id] = (this.raisedFrames[track.id] || 0) + 1;
+          if (raisedFrames[track.id] === this.gestureFrames) {
+            claimant = track;
+          }
+        }
+      });
+      this.raisedFrames = raisedFrames;
+      return claimant;
+    }
+    return null;
+  }
+}
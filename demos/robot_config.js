@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import defaultRobot from './robot.json';
+
+const jointDefaults = {
+  enabled: true,
+  min: 0,
+  max: 180,
+  offset: 0,
+  invert: false,
+  // deg/s and deg/s^2
+  maxSpeed: 180,
+  maxAcceleration: 720,
+};
+
+/**
+ * Validates a robot description and fills in the optional joint fields.
+ * Joints with "enabled": false are left out.
+ */
+export function parseRobotConfig(config) {
+  if (!config || !Array.isArray(config.joints)) {
+    throw new Error('Robot config must have a "joints" array');
+  }
+  const joints = config.joints.map((joint, i) => {
+    ['name', 'signal', 'pins'].forEach((key) => {
+      if (joint[key] === undefined) {
+        throw new Error(`Joint ${i} of the robot config has no "${key}"`);
+      }
+    });
+    const parsed = Object.assign({}, jointDefaults, joint);
+    if (parsed.neutral === undefined) {
+      parsed.neutral = (parsed.min + parsed.max) / 2;
+    }
+    return parsed;
+  }).filter((joint) => joint.enabled);
+  return Object.assign(
+      {interval: 200, tickRate: 50}, config, {joints: joints});
+}
+
+/**
+ * Parses a file describing one robot, or several robots in a "robots" array.
+ * Fields outside of "robots" are shared by every robot, so a booth with
+ * identical robots only needs a different "obnizId" per entry.
+ */
+export function parseRobotConfigs(config) {
+  if (!config || !Array.isArray(config.robots)) {
+    return [parseRobotConfig(config)];
+  }
+  const shared = Object.assign({}, config);
+  delete shared.robots;
+  return config.robots.map((robot) => {
+    return parseRobotConfig(Object.assign({}, shared, robot));
+  });
+}
+
+/**
+ * Loads the robot descriptions. Without a url the bundled robot.json is used.
+ */
+export async function loadRobotConfigs(url) {
+  if (!url) {
+    return parseRobotConfigs(defaultRobot);
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load robot config ${url}: ${response.status}`);
+  }
+  return parseRobotConfigs(await response.json());
+}
+
+/**
+ * Converts a pose-derived signal (degrees) to the servo angle of a joint by
+ * applying its offset and inversion and clamping it to the joint range.
+ */
+export function toJointAngle(joint, value) {
+  let angle = value + joint.offset;
+  if (joint.invert) {
+    angle = 180 - angle;
+  }
+  return Math.min(joint.max, Math.max(joint.min, angle));
+}
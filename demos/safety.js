@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+// Interval (ms) at which the watchdog checks for a lost operator
+const checkInterval = 100;
+
+/**
+ * Parks the robot when tracking is lost and provides an emergency stop.
+ *
+ * feed() has to be called whenever a confident pose is seen. Once no pose has
+ * been seen for timeout ms every joint eases back to its neutral angle. An
+ * emergency stop freezes ('freeze') or parks ('park') every joint and pose
+ * input is to be ignored until rearm() is called.
+ */
+export class SafetyWatchdog {
+  constructor(planner, joints, timeout = 2000) {
+    this.planner = planner;
+    this.joints = joints;
+    this.timeout = timeout;
+    this.lastFeed = performance.now();
+    this.parked = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Whether pose input may drive the servos.
+   */
+  get armed() {
+    return !this.stopped;
+  }
+
+  start() {
+    this.timer =
+        setInterval(() => this.check(performance.now()), checkInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  feed(now = performance.now()) {
+    this.lastFeed = now;
+    this.parked = false;
+  }
+
+  check(now) {
+    // A frozen robot must not start moving on its own
+    if (this.stopped) {
+      return;
+    }
+    if (!this.parked && now - this.lastFeed > this.timeout) {
+      this.park();
+    }
+  }
+
+  park() {
+    this.parked = true;
+    this.joints.forEach((joint) => {
+      this.planner.setTarget(joint.name, joint.neutral);
+    });
+  }
+
+  emergencyStop(mode = 'freeze') {
+    this.stopped = true;
+    if (mode === 'park') {
+      this.park();
+    } else {
+      this.planner.hold();
+    }
+  }
+
+  rearm() {
+    this.stopped = false;
+  }
+
+  /**
+   * Forgets that the robot was parked, for when something else has moved the
+   * servos since. The next check parks it again if nobody is in frame.
+   */
+  unpark() {
+    this.parked = false;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {downloadFile} from './demo_util';
+
+// Delays (ms) between reconnection attempts double up to the maximum
+const minReconnectDelay = 1000;
+const maxReconnectDelay = 30000;
+// Time (ms) to wait for a connection before giving up on the attempt
+const connectTimeout = 10000;
+
+/**
+ * Actuator driver interface. The imitation loop only talks to a driver, so the
+ * same camera -> angle -> servo path runs with or without a board attached.
+ *
+ * A joint is described as {name, pins: {signal, vcc, gnd}, neutral}.
+ */
+export class ServoDriver {
+  constructor() {
+    // Last angle written to each joint, keyed by joint name
+    this.angles = {};
+    // 'connecting', 'connected' or 'disconnected'
+    this.state = 'connected';
+    // Called with the new state whenever it changes
+    this.onstatechange = () => {};
+  }
+
+  /**
+   * Prepares every joint and moves it to its neutral angle. Resolves once the
+   * driver is ready to accept commands.
+   */
+  async attach(joints) {
+    this.joints = joints;
+    joints.forEach((joint) => this.write(joint.name, joint.neutral));
+  }
+
+  /**
+   * Commands a joint to an angle in degrees.
+   */
+  write(name, angle) {
+    this.angles[name] = angle;
+  }
+
+  /**
+   * Releases the underlying resources.
+   */
+  detach() {}
+
+  setState(state) {
+    this.state = state;
+    this.onstatechange(state);
+  }
+}
+
+/**
+ * Drives ServoMotor parts wired to an obniz board. The driver reconnects with
+ * an exponential backoff whenever the connection is lost and initialises the
+ * servos to their neutral angles on every connection. Commands written while
+ * the board is offline are dropped.
+ */
+export class ObnizServoDriver extends ServoDriver {
+  constructor(obnizId) {
+    super();
+    this.obnizId = obnizId;
+    this.servos = {};
+    this.state = 'disconnected';
+    this.reconnectDelay = minReconnectDelay;
+  }
+
+  /**
+   * Starts connecting and resolves right away, the board comes online later.
+   */
+  async attach(joints) {
+    this.joints = joints;
+    this.connect();
+  }
+
+  /**
+   * Switches to another board.
+   */
+  setObnizId(obnizId) {
+    this.obnizId = obnizId;
+    this.reconnectDelay = minReconnectDelay;
+    this.close();
+    this.connect();
+  }
+
+  connect() {
+    this.setState('connecting');
+    const obniz = this.obniz = new Obniz(this.obnizId, {auto_connect: false});
+    obniz.onconnect = () => {
+      if (obniz === this.obniz) {
+        this.initialize();
+      }
+    };
+    obniz.onclose = () => {
+      if (obniz === this.obniz) {
+        this.reconnect();
+      }
+    };
+    this.connectTimer = setTimeout(() => {
+      if (obniz === this.obniz && this.state !== 'connected') {
+        this.reconnect();
+      }
+    }, connectTimeout);
+    obniz.connect();
+  }
+
+  initialize() {
+    clearTimeout(this.connectTimer);
+    this.reconnectDelay = minReconnectDelay;
+    this.joints.forEach((joint) => {
+      this.servos[joint.name] = this.obniz.wired('ServoMotor', joint.pins);
+      this.write(joint.name, joint.neutral);
+    });
+    this.setState('connected');
+  }
+
+  reconnect() {
+    this.close();
+    this.setState('disconnected');
+    this.retryTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, maxReconnectDelay);
+  }
+
+  /**
+   * Closes the current connection without triggering a reconnection.
+   */
+  close() {
+    clearTimeout(this.connectTimer);
+    clearTimeout(this.retryTimer);
+    this.servos = {};
+    const obniz = this.obniz;
+    this.obniz = null;
+    if (obniz) {
+      obniz.close();
+    }
+  }
+
+  write(name, angle) {
+    const servo = this.servos[name];
+    if (!servo) {
+      return;
+    }
+    servo.angle(angle);
+    super.write(name, angle);
+  }
+
+  detach() {
+    this.close();
+    this.setState('disconnected');
+  }
+}
+
+/**
+ * Keeps every command in memory. Useful for running the pipeline without a
+ * board and for inspecting what the servos would have received.
+ */
+export class MockServoDriver extends ServoDriver {
+  constructor() {
+    super();
+    this.history = [];
+  }
+
+  write(name, angle) {
+    super.write(name, angle);
+    this.history.push({time: Date.now(), name: name, angle: angle});
+  }
+}
+
+/**
+ * Writes every command as a tab separated line and lets the user download the
+ * result as a text file.
+ */
+export class LogServoDriver extends ServoDriver {
+  constructor() {
+    super();
+    this.lines = [];
+  }
+
+  write(name, angle) {
+    super.write(name, angle);
+    this.lines.push([new Date().toISOString(), name, angle].join('\t'));
+  }
+
+  toText() {
+    return this.lines.join('\n') + '\n';
+  }
+
+  download(filename = 'servo_log.tsv') {
+    downloadFile(this.toText(), filename, 'text/tab-separated-values');
+  }
+}
+
+/**
+ * Forwards every command to several drivers, e.g. a board and a simulator.
+ */
+export class TeeServoDriver extends ServoDriver {
+  constructor(drivers) {
+    super();
+    this.drivers = drivers;
+  }
+
+  async attach(joints) {
+    this.joints = joints;
+    await Promise.all(this.drivers.map((driver) => driver.attach(joints)));
+  }
+
+  write(name, angle) {
+    super.write(name, angle);
+    this.drivers.forEach((driver) => driver.write(name, angle));
+  }
+
+  detach() {
+    this.drivers.forEach((driver) => driver.detach());
+  }
+}
+
+/**
+ * Creates a driver from its type name: 'obniz', 'mock' or 'log'.
+ */
+export function createServoDriver(type, options = {}) {
+  switch (type) {
+    case 'obniz':
+      return new ObnizServoDriver(options.obnizId);
+    case 'mock':
+      return new MockServoDriver();
+    case 'log':
+      return new LogServoDriver();
+    default:
+      throw new Error(`Unknown servo driver: ${type}`);
+  }
+}
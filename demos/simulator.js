@@ -0,0 +1,214 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {ServoDriver} from './servo_driver';
+
+const bodyColor = 'gray';
+const jointColor = 'orange';
+const lineWidth = 8;
+
+/**
+ * Draws a 2D humanoid robot facing the viewer and moves it with the same
+ * commands the real servos receive.
+ */
+export class SimulatorServoDriver extends ServoDriver {
+  constructor(canvas) {
+    super();
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.visible = true;
+  }
+
+  attach(joints) {
+    this.jointsByName = {};
+    joints.forEach((joint) => this.jointsByName[joint.name] = joint);
+    return super.attach(joints);
+  }
+
+  write(name, angle) {
+    super.write(name, angle);
+    if (!this.drawRequested) {
+      this.drawRequested = true;
+      requestAnimationFrame(() => {
+        this.drawRequested = false;
+        this.draw();
+      });
+    }
+  }
+
+  /**
+   * Converts the servo angle of a joint back to the pose-derived signal that
+   * produced it, undoing the inversion and offset of the joint.
+   */
+  getSignal(name) {
+    const joint = this.jointsByName[name];
+    const angle = joint.invert ? 180 - this.angles[name] : this.angles[name];
+    return angle - joint.offset;
+  }
+
+  /**
+   * Signal values of the robot, keyed by signal name.
+   */
+  getSignals() {
+    const signals = {};
+    Object.keys(this.angles).forEach((name) => {
+      signals[this.jointsByName[name].signal] = this.getSignal(name);
+    });
+    return signals;
+  }
+
+  draw() {
+    const {ctx, canvas} = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!this.visible) {
+      return;
+    }
+    const signals = this.getSignals();
+    const centerX = canvas.width / 2;
+    const shoulderY = canvas.height * 0.35;
+    const shoulderHalfWidth = canvas.width * 0.2;
+    const armLength = canvas.height * 0.25;
+
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = bodyColor;
+    ctx.fillStyle = bodyColor;
+
+    // Torso, leaning around the hip centre for robots with a waist joint
+    const hipY = shoulderY + canvas.height * 0.35;
+    const lean = signals.torsoLean === undefined ? 90 : signals.torsoLean;
+    ctx.save();
+    ctx.translate(centerX, hipY);
+    ctx.rotate(-(lean - 90) * (Math.PI / 180));
+    ctx.translate(-centerX, -hipY);
+    ctx.fillRect(
+        centerX - shoulderHalfWidth, shoulderY, shoulderHalfWidth * 2,
+        hipY - shoulderY);
+
+    // The robot faces the viewer, so its left arm is on the right side. Arms
+    // reaching towards the viewer look shorter.
+    const getArmLength = (pitch = 0) =>
+        armLength * Math.cos(pitch * (Math.PI / 180));
+    drawArm(
+        ctx, centerX + shoulderHalfWidth, shoulderY,
+        getArmLength(signals.leftShoulderPitch), 1, signals.leftArm,
+        signals.leftElbow);
+    drawArm(
+        ctx, centerX - shoulderHalfWidth, shoulderY,
+        getArmLength(signals.rightShoulderPitch), -1, signals.rightArm,
+        signals.rightElbow);
+
+    drawHead(ctx, centerX, shoulderY - canvas.height * 0.12,
+             canvas.height * 0.1, signals.faceYaw, signals.facePitch,
+             signals.faceRoll);
+    ctx.restore();
+
+    // Legs are only drawn for robots that have leg joints
+    const legLength = canvas.height - hipY - lineWidth;
+    if (signals.leftHipAbduction !== undefined) {
+      drawLeg(ctx, centerX + shoulderHalfWidth / 2, hipY, legLength, 1,
+              signals.leftHipAbduction, signals.leftKnee);
+    }
+    if (signals.rightHipAbduction !== undefined) {
+      drawLeg(ctx, centerX - shoulderHalfWidth / 2, hipY, legLength, -1,
+              signals.rightHipAbduction, signals.rightKnee);
+    }
+  }
+}
+
+/**
+ * Draws an arm hanging down at 0 degrees, horizontal at 90 and up at 180.
+ * side is 1 for an arm on the right of the canvas and -1 for the left. With
+ * an elbow angle the forearm bends upwards by that angle.
+ */
+function drawArm(ctx, x, y, length, side, raise = 0, elbow) {
+  const rad = raise * (Math.PI / 180);
+  if (elbow === undefined) {
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + side * length * Math.sin(rad), y + length * Math.cos(rad));
+    ctx.stroke();
+    drawJoint(ctx, x, y);
+    return;
+  }
+  const elbowX = x + side * length / 2 * Math.sin(rad);
+  const elbowY = y + length / 2 * Math.cos(rad);
+  const forearmRad = rad + elbow * (Math.PI / 180);
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(elbowX, elbowY);
+  ctx.lineTo(elbowX + side * length / 2 * Math.sin(forearmRad),
+             elbowY + length / 2 * Math.cos(forearmRad));
+  ctx.stroke();
+  drawJoint(ctx, x, y);
+  drawJoint(ctx, elbowX, elbowY);
+}
+
+/**
+ * Draws a leg pointing down at 0 degrees of abduction and spreading sideways
+ * as it grows. The lower leg bends outwards by the knee angle.
+ */
+function drawLeg(ctx, x, y, length, side, abduction, knee = 0) {
+  const rad = abduction * (Math.PI / 180);
+  const kneeX = x + side * length / 2 * Math.sin(rad);
+  const kneeY = y + length / 2 * Math.cos(rad);
+  const shinRad = rad - knee * (Math.PI / 180);
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(kneeX, kneeY);
+  ctx.lineTo(kneeX + side * length / 2 * Math.sin(shinRad),
+             kneeY + length / 2 * Math.cos(shinRad));
+  ctx.stroke();
+  drawJoint(ctx, x, y);
+  drawJoint(ctx, kneeX, kneeY);
+}
+
+/**
+ * Draws the head looking at the viewer at a yaw, pitch and roll of 90 degrees.
+ * The face features shift sideways as the head turns, downwards as it nods
+ * and rotate as it tilts.
+ */
+function drawHead(ctx, x, y, radius, yaw = 90, pitch = 90, roll = 90) {
+  ctx.save();
+  // The robot faces the viewer, tilting to its right looks counterclockwise
+  ctx.translate(x, y);
+  ctx.rotate(-(roll - 90) * (Math.PI / 180));
+  ctx.translate(-x, -y);
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, 2 * Math.PI);
+  ctx.fill();
+
+  const shiftX = radius * Math.cos(yaw * (Math.PI / 180));
+  const shiftY = -radius * Math.cos(pitch * (Math.PI / 180));
+  ctx.fillStyle = 'white';
+  [-0.4, 0.4].forEach((eye) => {
+    ctx.beginPath();
+    ctx.arc(x + shiftX + eye * radius, y + shiftY - radius * 0.2,
+            radius * 0.15, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+  ctx.restore();
+  ctx.fillStyle = bodyColor;
+  drawJoint(ctx, x, y + radius);
+}
+
+function drawJoint(ctx, x, y) {
+  ctx.beginPath();
+  ctx.arc(x, y, lineWidth, 0, 2 * Math.PI);
+  ctx.fillStyle = jointColor;
+  ctx.fill();
+  ctx.fillStyle = bodyColor;
+}